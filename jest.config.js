@@ -7,4 +7,6 @@ module.exports = {
   transform: {
     '^.+\\.jsx?$': 'babel-jest',
   },
+  // gsap/ScrollTrigger and friends are published as ES modules
+  transformIgnorePatterns: ['/node_modules/(?!(gsap|@gsap)/)'],
 };
\ No newline at end of file
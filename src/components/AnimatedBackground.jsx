@@ -1,5 +1,7 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
+import { useAnimationSettings, useAnimationQuality } from '../context/AnimationContext';
+import { playback } from '../utils/playback';
 
 const AnimatedBackground = ({
   children,
@@ -10,13 +12,21 @@ const AnimatedBackground = ({
   speed = 1,
   interactive = true,
   className = '',
-  style = {}
+  style = {},
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const containerRef = useRef(null);
   const canvasRef = useRef(null);
-  const animationRef = useRef(null);
   const mousePosition = useRef({ x: 0, y: 0 });
   
+  // Lower quality tiers draw fewer items at a capped frame rate
+  const { densityScale, maxFps } = useAnimationQuality();
+  const effectiveDensity = density * densityScale;
+  
+  // Draw a single still frame for users who prefer reduced motion
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
+  const isStatic = disableAllAnimations || shouldReduceMotion;
+  
   useEffect(() => {
     const container = containerRef.current;
     const canvas = canvasRef.current;
@@ -45,13 +55,16 @@ const AnimatedBackground = ({
     }
     
     // Animation setup based on pattern
+    // `step` is the number of 60fps frames since the last draw and `elapsed`
+    // the total animated time, so pausing and time scaling apply to the motion
     let animate;
     let items = [];
+    let elapsed = 0;
     
     switch(pattern) {
       case 'dots':
         // Create dots
-        const dotCount = Math.ceil((canvas.width * canvas.height) / (10000 / density));
+        const dotCount = Math.ceil((canvas.width * canvas.height) / (10000 / effectiveDensity));
         for (let i = 0; i < dotCount; i++) {
           items.push({
             x: Math.random() * canvas.width,
@@ -62,15 +75,15 @@ const AnimatedBackground = ({
           });
         }
         
-        animate = () => {
+        animate = (step) => {
           ctx.clearRect(0, 0, canvas.width, canvas.height);
           ctx.fillStyle = backgroundColor;
           ctx.fillRect(0, 0, canvas.width, canvas.height);
           
           items.forEach(dot => {
             // Update position
-            dot.x += dot.vx;
-            dot.y += dot.vy;
+            dot.x += dot.vx * step;
+            dot.y += dot.vy * step;
             
             // Bounce off edges
             if (dot.x < 0 || dot.x > canvas.width) dot.vx *= -1;
@@ -84,8 +97,8 @@ const AnimatedBackground = ({
               
               if (distance < 60) {
                 const angle = Math.atan2(dy, dx);
-                const pushX = Math.cos(angle) * (60 - distance) * 0.02;
-                const pushY = Math.sin(angle) * (60 - distance) * 0.02;
+                const pushX = Math.cos(angle) * (60 - distance) * 0.02 * step;
+                const pushY = Math.sin(angle) * (60 - distance) * 0.02 * step;
                 
                 dot.x -= pushX;
                 dot.y -= pushY;
@@ -98,13 +111,11 @@ const AnimatedBackground = ({
             ctx.fillStyle = color;
             ctx.fill();
           });
-          
-          animationRef.current = requestAnimationFrame(animate);
         };
         break;
         
       case 'waves':
-        const waveCount = Math.ceil(canvas.height / (100 / density));
+        const waveCount = Math.ceil(canvas.height / (100 / effectiveDensity));
         const waves = [];
         
         for (let i = 0; i < waveCount; i++) {
@@ -116,14 +127,14 @@ const AnimatedBackground = ({
           });
         }
         
-        animate = () => {
+        animate = (step) => {
           ctx.clearRect(0, 0, canvas.width, canvas.height);
           ctx.fillStyle = backgroundColor;
           ctx.fillRect(0, 0, canvas.width, canvas.height);
           
           waves.forEach(wave => {
             // Update offset
-            wave.offset += speed * 0.05;
+            wave.offset += speed * 0.05 * step;
             
             // Draw wave
             ctx.beginPath();
@@ -141,20 +152,18 @@ const AnimatedBackground = ({
             ctx.fillStyle = color;
             ctx.fill();
           });
-          
-          animationRef.current = requestAnimationFrame(animate);
         };
         break;
         
       case 'grid':
-        const cellSize = Math.floor(50 / (density / 10));
+        const cellSize = Math.floor(50 / (effectiveDensity / 10));
         
         animate = () => {
           ctx.clearRect(0, 0, canvas.width, canvas.height);
           ctx.fillStyle = backgroundColor;
           ctx.fillRect(0, 0, canvas.width, canvas.height);
           
-          const time = Date.now() * 0.001 * speed;
+          const time = elapsed * 0.001 * speed;
           
           // Draw grid
           ctx.strokeStyle = color;
@@ -179,8 +188,6 @@ const AnimatedBackground = ({
             ctx.lineTo(canvas.width, y + offsetY);
             ctx.stroke();
           }
-          
-          animationRef.current = requestAnimationFrame(animate);
         };
         break;
         
@@ -189,7 +196,7 @@ const AnimatedBackground = ({
           const imageData = ctx.createImageData(canvas.width, canvas.height);
           const data = imageData.data;
           
-          const time = Date.now() * 0.0001 * speed;
+          const time = elapsed * 0.0001 * speed;
           const scale = density / 10;
           
           // Parse the color to get RGB values
@@ -236,8 +243,6 @@ const AnimatedBackground = ({
           }
           
           ctx.putImageData(imageData, 0, 0);
-          
-          animationRef.current = requestAnimationFrame(animate);
         };
         break;
         
@@ -247,26 +252,51 @@ const AnimatedBackground = ({
           ctx.clearRect(0, 0, canvas.width, canvas.height);
           ctx.fillStyle = backgroundColor;
           ctx.fillRect(0, 0, canvas.width, canvas.height);
-          
-          animationRef.current = requestAnimationFrame(animate);
         };
     }
     
+    // Draw on the shared frame loop, skipping frames above the quality tier's frame rate
+    const frameInterval = 1000 / maxFps;
+    let lastFrameTime = 0;
+    let pendingTime = 0;
+    
+    const renderFrame = (deltaTime, time) => {
+      pendingTime += deltaTime;
+      
+      // Small tolerance so a 60fps cap doesn't drop frames to timer jitter
+      if (time - lastFrameTime < frameInterval - 2) return;
+      
+      lastFrameTime = time;
+      elapsed += pendingTime;
+      animate(pendingTime / (1000 / 60));
+      pendingTime = 0;
+    };
+    
+    // Resizing clears the canvas, so a still frame has to be redrawn
+    const drawStill = () => animate(0);
+    let removeLoop = () => {};
+    
     // Start animation
-    animate();
+    drawStill();
+    
+    if (!isStatic) {
+      // Sleeps while the background is scrolled out of view
+      removeLoop = playback.addLoop(renderFrame, { element: container });
+    } else {
+      window.addEventListener('resize', drawStill);
+    }
     
     return () => {
       window.removeEventListener('resize', resizeCanvas);
+      window.removeEventListener('resize', drawStill);
       
       if (interactive) {
         container.removeEventListener('mousemove', handleMouseMove);
       }
       
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
+      removeLoop();
     };
-  }, [pattern, color, backgroundColor, density, speed, interactive]);
+  }, [pattern, color, backgroundColor, effectiveDensity, speed, interactive, maxFps, isStatic]);
 
   const containerStyle = {
     position: 'relative',
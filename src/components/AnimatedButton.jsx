@@ -28,7 +28,8 @@ const AnimatedButton = ({
     gsap.to(buttonRef.current, {
       scale: hoverScale,
       duration,
-      ease: "power2.out"
+      ease: "power2.out",
+      overwrite: 'auto'
     });
   };
 
@@ -36,7 +37,8 @@ const AnimatedButton = ({
     gsap.to(buttonRef.current, {
       scale: 1,
       duration,
-      ease: "power2.out"
+      ease: "power2.out",
+      overwrite: 'auto'
     });
   };
 
@@ -44,7 +46,8 @@ const AnimatedButton = ({
     gsap.to(buttonRef.current, {
       scale: clickScale,
       duration: duration / 2,
-      ease: "power2.in"
+      ease: "power2.in",
+      overwrite: 'auto'
     });
   };
 
@@ -52,7 +55,8 @@ const AnimatedButton = ({
     gsap.to(buttonRef.current, {
       scale: hoverScale,
       duration: duration / 2,
-      ease: "power2.out"
+      ease: "power2.out",
+      overwrite: 'auto'
     });
   };
 
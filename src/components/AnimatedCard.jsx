@@ -1,5 +1,7 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
+import { useLayoutAnimation } from '../utils/useLayoutAnimation';
+import { useAnimationSettings, useAnimationQuality } from '../context/AnimationContext';
 
 const AnimatedCard = ({
   children,
@@ -8,9 +10,21 @@ const AnimatedCard = ({
   hoverEffect = 'lift', // 'lift', '3d', 'glow', or 'none'
   duration = 0.3,
   hoverScale = 1.03,
-  tiltAmount = 10 // For 3D effect
+  tiltAmount = 10, // For 3D effect
+  deviceTilt = false, // Also tilt the 3D effect with the device's orientation (phones and tablets)
+  layout = false, // true or 'position' to animate layout changes
+  layoutId,
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const cardRef = useRef(null);
+  
+  // Lower quality tiers and reduced motion replace the 3D tilt with a plain lift
+  const { tilt3D } = useAnimationQuality();
+  const { shouldReduceMotion } = useAnimationSettings(reducedMotion);
+  if (hoverEffect === '3d' && (!tilt3D || shouldReduceMotion)) hoverEffect = 'lift';
+  
+  // Animate position and size changes between renders
+  const { snapshot } = useLayoutAnimation(cardRef, { layout, layoutId, reducedMotion });
 
   useEffect(() => {
     const card = cardRef.current;
@@ -20,17 +34,85 @@ const AnimatedCard = ({
       gsap.killTweensOf(card);
     };
   }, []);
+  
+  // Resolves once device orientation events may be listened to
+  const orientationPermissionRef = useRef(null);
+  
+  const requestOrientationPermission = () => {
+    if (!orientationPermissionRef.current) {
+      const { DeviceOrientationEvent } = window;
+      
+      orientationPermissionRef.current = DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function'
+        ? DeviceOrientationEvent.requestPermission().then(state => state === 'granted').catch(() => false)
+        : Promise.resolve(true);
+    }
+    
+    return orientationPermissionRef.current;
+  };
+  
+  // Tilt relative to how the device was held when the first reading arrived
+  useEffect(() => {
+    const card = cardRef.current;
+    if (!deviceTilt || hoverEffect !== '3d' || !card || typeof window === 'undefined' || !window.DeviceOrientationEvent) return;
+    
+    let baseline = null;
+    let listening = false;
+    let unmounted = false;
+    
+    // Orientation events arrive every frame, so retarget two tweens instead of starting new ones
+    gsap.set(card, { transformPerspective: 1000 });
+    const tiltX = gsap.quickTo(card, 'rotateX', { duration: 0.3, ease: "power2.out" });
+    const tiltY = gsap.quickTo(card, 'rotateY', { duration: 0.3, ease: "power2.out" });
+    
+    const handleOrientation = (e) => {
+      if (e.beta === null || e.gamma === null) return;
+      
+      if (!baseline) {
+        baseline = { beta: e.beta, gamma: e.gamma };
+      }
+      
+      // A 30 degree turn gives the full tilt
+      const clamp = (value) => Math.min(Math.max(value / 30, -1), 1);
+      
+      tiltY(clamp(e.gamma - baseline.gamma) * tiltAmount);
+      tiltX(-clamp(e.beta - baseline.beta) * tiltAmount);
+    };
+    
+    const startListening = () => {
+      requestOrientationPermission().then(granted => {
+        if (!granted || listening || unmounted) return;
+        
+        listening = true;
+        window.addEventListener('deviceorientation', handleOrientation);
+      });
+    };
+    
+    // iOS only grants access from a user gesture, so ask on the first tap on the card
+    if (typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+      card.addEventListener('pointerdown', startListening);
+    } else {
+      startListening();
+    }
+    
+    return () => {
+      unmounted = true;
+      card.removeEventListener('pointerdown', startListening);
+      window.removeEventListener('deviceorientation', handleOrientation);
+    };
+  }, [deviceTilt, hoverEffect, tiltAmount]);
 
-  const handleMouseEnter = (e) => {
+  const handlePointerEnter = (e) => {
     const card = cardRef.current;
     
     switch(hoverEffect) {
       case 'lift':
+        // Keep the shadow but skip the scale for users who prefer reduced motion
         gsap.to(card, {
-          scale: hoverScale,
+          scale: shouldReduceMotion ? 1 : hoverScale,
           boxShadow: '0 20px 30px rgba(0, 0, 0, 0.15)',
           duration,
-          ease: "power2.out"
+          ease: "power2.out",
+          overwrite: 'auto'
         });
         break;
       
@@ -38,12 +120,12 @@ const AnimatedCard = ({
         const cardRect = card.getBoundingClientRect();
         const cardCenterX = cardRect.left + cardRect.width / 2;
         const cardCenterY = cardRect.top + cardRect.height / 2;
-        const mouseX = e.clientX;
-        const mouseY = e.clientY;
+        const pointerX = e.clientX;
+        const pointerY = e.clientY;
         
-        // Calculate rotation based on mouse position relative to card center
-        const rotateY = ((mouseX - cardCenterX) / (cardRect.width / 2)) * tiltAmount;
-        const rotateX = -((mouseY - cardCenterY) / (cardRect.height / 2)) * tiltAmount;
+        // Calculate rotation based on pointer position relative to card center
+        const rotateY = ((pointerX - cardCenterX) / (cardRect.width / 2)) * tiltAmount;
+        const rotateX = -((pointerY - cardCenterY) / (cardRect.height / 2)) * tiltAmount;
         
         gsap.to(card, {
           rotateY: rotateY,
@@ -52,7 +134,8 @@ const AnimatedCard = ({
           boxShadow: '0 20px 30px rgba(0, 0, 0, 0.15)',
           scale: 1.05,
           duration,
-          ease: "power2.out"
+          ease: "power2.out",
+          overwrite: 'auto'
         });
         break;
       
@@ -60,7 +143,8 @@ const AnimatedCard = ({
         gsap.to(card, {
           boxShadow: '0 0 20px rgba(114, 226, 252, 0.5)',
           duration,
-          ease: "power2.out"
+          ease: "power2.out",
+          overwrite: 'auto'
         });
         break;
         
@@ -69,36 +153,39 @@ const AnimatedCard = ({
     }
   };
 
-  const handleMouseMove = (e) => {
+  const handlePointerMove = (e) => {
     if (hoverEffect === '3d') {
       const card = cardRef.current;
       const cardRect = card.getBoundingClientRect();
       const cardCenterX = cardRect.left + cardRect.width / 2;
       const cardCenterY = cardRect.top + cardRect.height / 2;
-      const mouseX = e.clientX;
-      const mouseY = e.clientY;
+      const pointerX = e.clientX;
+      const pointerY = e.clientY;
       
-      // Calculate rotation based on mouse position relative to card center
-      const rotateY = ((mouseX - cardCenterX) / (cardRect.width / 2)) * tiltAmount;
-      const rotateX = -((mouseY - cardCenterY) / (cardRect.height / 2)) * tiltAmount;
+      // Calculate rotation based on pointer position relative to card center
+      const rotateY = ((pointerX - cardCenterX) / (cardRect.width / 2)) * tiltAmount;
+      const rotateX = -((pointerY - cardCenterY) / (cardRect.height / 2)) * tiltAmount;
       
       gsap.to(card, {
         rotateY: rotateY,
         rotateX: rotateX,
         duration: 0.1,
-        ease: "power2.out"
+        ease: "power2.out",
+        overwrite: 'auto'
       });
     }
   };
 
-  const handleMouseLeave = () => {
+  // Touch pointers leave when the finger lifts, so the card settles back after a tap
+  const handlePointerLeave = () => {
     gsap.to(cardRef.current, {
       scale: 1,
       rotateX: 0,
       rotateY: 0,
       boxShadow: '0 5px 15px rgba(0, 0, 0, 0.08)',
       duration,
-      ease: "power2.inOut"
+      ease: "power2.inOut",
+      overwrite: 'auto'
     });
   };
 
@@ -114,11 +201,12 @@ const AnimatedCard = ({
       ref={cardRef}
       className={className}
       style={defaultStyle}
-      onMouseEnter={handleMouseEnter}
-      onMouseMove={handleMouseMove}
-      onMouseLeave={handleMouseLeave}
+      onPointerEnter={handlePointerEnter}
+      onPointerMove={handlePointerMove}
+      onPointerLeave={handlePointerLeave}
     >
       {children}
+      {snapshot}
     </div>
   );
 };
@@ -1,6 +1,9 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { playback } from '../utils/playback';
+import { resolveScroller } from '../utils/scroller';
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -10,6 +13,7 @@ const AnimatedCounter = ({
   duration = 2,
   delay = 0,
   threshold = 0.5,
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
   ease = "power1.inOut",
   prefix = '',
   suffix = '',
@@ -19,8 +23,12 @@ const AnimatedCounter = ({
   style = {}
 }) => {
   const counterRef = useRef(null);
+  const tweenRef = useRef(null);
   const [count, setCount] = useState(start);
   const [triggered, setTriggered] = useState(false);
+  const { scroller: defaultScroller } = useAnimationSettings();
+  
+  if (scroller === undefined) scroller = defaultScroller;
   
   // Format number with separator and decimals
   const formatNumber = (value) => {
@@ -39,12 +47,13 @@ const AnimatedCounter = ({
     
     const trigger = ScrollTrigger.create({
       trigger: counter,
+      scroller: resolveScroller(scroller, counter),
       start: `top bottom-=${threshold * 100}%`,
       onEnter: () => {
         if (!triggered) {
           setTriggered(true);
           
-          gsap.to({ value: start }, {
+          const tween = gsap.to({ value: start }, {
             value: end,
             duration,
             delay,
@@ -53,6 +62,13 @@ const AnimatedCounter = ({
               updateCount(this.targets()[0].value);
             }
           });
+          
+          tweenRef.current = tween;
+          
+          // Controllable by the playback controller until it finishes or is killed
+          const untrack = playback.track(tween);
+          tween.eventCallback('onComplete', untrack);
+          tween.eventCallback('onInterrupt', untrack);
         }
       }
     });
@@ -60,7 +76,14 @@ const AnimatedCounter = ({
     return () => {
       trigger.kill();
     };
-  }, [start, end, duration, delay, threshold, ease, triggered]);
+  }, [start, end, duration, delay, threshold, scroller, ease, triggered]);
+  
+  // Stop counting on unmount
+  useEffect(() => {
+    return () => {
+      if (tweenRef.current) tweenRef.current.kill();
+    };
+  }, []);
 
   return (
     <div 
@@ -1,5 +1,7 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { gsap } from 'gsap';
+import { useAnimationQuality } from '../context/AnimationContext';
+import { playback } from '../utils/playback';
 
 const AnimatedCursor = ({
   size = 20,
@@ -11,6 +13,7 @@ const AnimatedCursor = ({
   speed = 0.1,
   trailLength = 0,
   trailSpacing = 10,
+  hideOnCoarsePointer = true, // Hide on touch screens, where there is no cursor to follow
   cursorStyle = {}
 }) => {
   const cursorRef = useRef(null);
@@ -18,10 +21,44 @@ const AnimatedCursor = ({
   const mousePosition = useRef({ x: 0, y: 0 });
   const cursorPosition = useRef({ x: 0, y: 0 });
   const [hovering, setHovering] = useState(false);
+  const [isCoarsePointer, setIsCoarsePointer] = useState(false);
   const animationRef = useRef(null);
+  
+  // Lower quality tiers limit (or drop) the trail
+  const { maxCursorTrails } = useAnimationQuality();
+  trailLength = Math.min(trailLength, maxCursorTrails);
+  
+  // Track whether the primary input is a finger rather than a mouse or pen
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.matchMedia) return;
+    
+    const pointerQuery = window.matchMedia('(pointer: coarse)');
+    setIsCoarsePointer(pointerQuery.matches);
+    
+    const handlePointerChange = (e) => {
+      setIsCoarsePointer(e.matches);
+    };
+    
+    try {
+      // Modern approach
+      pointerQuery.addEventListener('change', handlePointerChange);
+      return () => pointerQuery.removeEventListener('change', handlePointerChange);
+    } catch (err) {
+      try {
+        // Legacy approach
+        pointerQuery.addListener(handlePointerChange);
+        return () => pointerQuery.removeListener(handlePointerChange);
+      } catch (e) {
+        // Fallback - no listeners
+      }
+    }
+  }, []);
+  
+  const isHidden = hideOnCoarsePointer && isCoarsePointer;
 
   useEffect(() => {
     const cursor = cursorRef.current;
+    if (!cursor) return;
     
     // Set initial position off-screen
     mousePosition.current = { x: -100, y: -100 };
@@ -48,8 +85,9 @@ const AnimatedCursor = ({
       }
     }
     
-    // Update mouse position on move
-    const handleMouseMove = (e) => {
+    // Update pointer position on move (mouse and pen; a finger has no cursor)
+    const handlePointerMove = (e) => {
+      if (e.pointerType === 'touch') return;
       mousePosition.current = { x: e.clientX, y: e.clientY };
     };
     
@@ -66,8 +104,8 @@ const AnimatedCursor = ({
     const addHoverListeners = () => {
       const elements = document.querySelectorAll(hoverSelectors.join(', '));
       elements.forEach(el => {
-        el.addEventListener('mouseenter', handleElementHover);
-        el.addEventListener('mouseleave', handleElementLeave);
+        el.addEventListener('pointerenter', handleElementHover);
+        el.addEventListener('pointerleave', handleElementLeave);
       });
       
       return elements;
@@ -112,19 +150,19 @@ const AnimatedCursor = ({
           }
         });
       }
-      
-      animationRef.current = requestAnimationFrame(animateCursor);
     };
     
-    document.addEventListener('mousemove', handleMouseMove);
-    animationRef.current = requestAnimationFrame(animateCursor);
+    document.addEventListener('pointermove', handlePointerMove);
+    
+    // Run on the shared frame loop; the cursor keeps following the pointer while playback is paused
+    animationRef.current = playback.addLoop(animateCursor, { pausable: false });
     
     // Re-add listeners when elements change
     const mutationObserver = new MutationObserver(() => {
       // Clean up old listeners
       elements.forEach(el => {
-        el.removeEventListener('mouseenter', handleElementHover);
-        el.removeEventListener('mouseleave', handleElementLeave);
+        el.removeEventListener('pointerenter', handleElementHover);
+        el.removeEventListener('pointerleave', handleElementLeave);
       });
       
       // Add new listeners
@@ -134,18 +172,19 @@ const AnimatedCursor = ({
     mutationObserver.observe(document.body, { childList: true, subtree: true });
     
     return () => {
-      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('pointermove', handlePointerMove);
       
       if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+        animationRef.current();
+        animationRef.current = null;
       }
       
       mutationObserver.disconnect();
       
       // Clean up hover listeners
       elements.forEach(el => {
-        el.removeEventListener('mouseenter', handleElementHover);
-        el.removeEventListener('mouseleave', handleElementLeave);
+        el.removeEventListener('pointerenter', handleElementHover);
+        el.removeEventListener('pointerleave', handleElementLeave);
       });
       
       // Remove cursor trails
@@ -154,8 +193,12 @@ const AnimatedCursor = ({
           document.body.removeChild(trail);
         }
       });
+      cursorTrailRefs.current = [];
     };
-  }, [size, color, hoverColor, hoverScale, hoverSelectors.join(','), mixBlendMode, speed, trailLength, trailSpacing]);
+  }, [size, color, hoverColor, hoverScale, hoverSelectors.join(','), mixBlendMode, speed, trailLength, trailSpacing, isHidden]);
+  
+  // Keep the native cursor behaviour on touch screens
+  if (isHidden) return null;
 
   const defaultCursorStyle = {
     width: size,
@@ -1,42 +1,214 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { useLayoutAnimation } from '../utils/useLayoutAnimation';
+import { useVariants } from '../utils/useVariants';
+import VariantContext from '../context/VariantContext';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { withoutMotion } from '../utils/animations';
+import { playback } from '../utils/playback';
+import { resolveScroller } from '../utils/scroller';
+import { getEaseDuration } from '../utils/easings';
 
 gsap.registerPlugin(ScrollTrigger);
 
 const AnimatedList = ({
   children,
-  stagger = 0.1,
-  duration = 0.5,
+  stagger, // Defaults to the nearest AnimationProvider's defaultStagger
+  duration, // Defaults to a spring ease's settle time, otherwise 0.5 unless an AnimationProvider sets defaultDuration
   from = { opacity: 0, y: 30 },
   threshold = 0.2,
-  delay = 0,
-  ease = "power3.out"
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
+  delay, // Defaults to the nearest AnimationProvider's defaultDelay
+  ease, // Defaults to 'power3.out' unless an AnimationProvider sets defaultEase
+  layout = false, // true or 'position' to animate items when they reorder or resize
+  batch = false, // true (or { interval, batchMax }) to reveal items in groups as they scroll into view, including items added later
+  onItemEnter, // Called with (element, index) when an item scrolls into view in batch mode
+  onItemLeave, // Called with (element, index) when an item scrolls out of view in batch mode
+  variants, // Named item states, e.g. { hidden: {...}, shown: {...} }; replaces `from` when set
+  initial,
+  animate,
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const listRef = useRef(null);
+  const {
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    defaultStagger,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion, { defaultDuration: 0.5, defaultEase: 'power3.out' });
+  
+  if (stagger === undefined) stagger = defaultStagger;
+  if (ease === undefined) ease = defaultEase;
+  if (duration === undefined) duration = getEaseDuration(ease, defaultDuration);
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  const getItems = () => (listRef.current ? Array.from(listRef.current.children) : []);
+  
+  // Label-driven item animation through variants
+  const variantContext = useVariants(listRef, {
+    variants,
+    initial,
+    animate,
+    transition: { duration, stagger, delay, ease },
+    getTargets: getItems,
+    reducedMotion
+  });
+  
+  // Animate every item from its previous position when the list changes
+  const { snapshot } = useLayoutAnimation(listRef, {
+    layout,
+    getElements: getItems,
+    reducedMotion
+  });
 
+  // Batch mode: items are observed individually and revealed in the groups they enter with
+  const batchTriggersRef = useRef([]);
+  const batchTweensRef = useRef(new Set());
+  const observedRef = useRef(new WeakSet());
+  const revealedRef = useRef(new WeakSet());
+  
+  const itemCallbacksRef = useRef(null);
+  itemCallbacksRef.current = { onItemEnter, onItemLeave };
+  
+  const batchOptions = batch && typeof batch === 'object' ? batch : {};
+  const batchDependencies = [
+    !!batch,
+    batchOptions.interval,
+    batchOptions.batchMax,
+    JSON.stringify(from),
+    threshold,
+    scroller,
+    stagger,
+    duration,
+    ease,
+    !!variants,
+    shouldReduceMotion
+  ];
+  
+  // Start over when the batch settings change; revealed items stay revealed
   useEffect(() => {
+    return () => {
+      batchTriggersRef.current.forEach(trigger => trigger.kill());
+      batchTriggersRef.current = [];
+      observedRef.current = new WeakSet();
+      
+      // Jump running reveals to their end, which also untracks them
+      batchTweensRef.current.forEach(tween => tween.progress(1));
+    };
+  }, batchDependencies);
+  
+  // Observe items that are not watched yet, so appended items join in as they arrive
+  useEffect(() => {
+    if (!batch || variants) return;
+    
+    const list = listRef.current;
+    
+    // Stop watching items that were removed
+    batchTriggersRef.current = batchTriggersRef.current.filter(trigger => {
+      if (list.contains(trigger.trigger)) return true;
+      
+      trigger.kill();
+      return false;
+    });
+    
+    const items = getItems().filter(item => !observedRef.current.has(item));
+    if (items.length === 0) return;
+    
+    items.forEach(item => observedRef.current.add(item));
+    
+    const fromVars = shouldReduceMotion ? withoutMotion(from) : from;
+    const animatedProps = Object.keys(fromVars).join(',');
+    
+    // Hide items until their batch enters
+    gsap.set(items.filter(item => !revealedRef.current.has(item)), fromVars);
+    
+    const notify = (callback, elements) => {
+      const handler = itemCallbacksRef.current[callback];
+      if (!handler) return;
+      
+      const allItems = getItems();
+      elements.forEach(element => handler(element, allItems.indexOf(element)));
+    };
+    
+    const reveal = (elements) => {
+      const hidden = elements.filter(element => !revealedRef.current.has(element));
+      
+      if (hidden.length > 0) {
+        hidden.forEach(element => revealedRef.current.add(element));
+        
+        // Animate from the hidden state to the items' own styles
+        gsap.set(hidden, { clearProps: animatedProps });
+        
+        const tween = gsap.from(hidden, {
+          ...fromVars,
+          duration,
+          stagger,
+          ease,
+          clearProps: animatedProps
+        });
+        
+        // Controllable by the playback controller until it finishes or is killed
+        const untrack = playback.track(tween);
+        const release = () => {
+          untrack();
+          batchTweensRef.current.delete(tween);
+        };
+        
+        tween.eventCallback('onComplete', release);
+        tween.eventCallback('onInterrupt', release);
+        batchTweensRef.current.add(tween);
+      }
+      
+      notify('onItemEnter', elements);
+    };
+    
+    const triggers = ScrollTrigger.batch(items, {
+      scroller: resolveScroller(scroller, list),
+      start: `top bottom-=${threshold * 100}%`,
+      interval: batchOptions.interval,
+      batchMax: batchOptions.batchMax,
+      onEnter: reveal,
+      onEnterBack: reveal,
+      onLeave: (elements) => notify('onItemLeave', elements),
+      onLeaveBack: (elements) => notify('onItemLeave', elements)
+    });
+    
+    batchTriggersRef.current.push(...triggers);
+  }, [children, ...batchDependencies]);
+
+  useEffect(() => {
+    if (variants || batch) return;
+    
     const list = listRef.current;
     const items = Array.from(list.children);
     
     const tl = gsap.timeline({
       scrollTrigger: {
         trigger: list,
+        scroller: resolveScroller(scroller, list),
         start: `top bottom-=${threshold * 100}%`,
         toggleActions: "play none none none"
       }
     });
 
+    // Items only fade in for users who prefer reduced motion
     tl.from(items, {
-      ...from,
+      ...(shouldReduceMotion ? withoutMotion(from) : from),
       duration,
       stagger,
       delay,
       ease,
       clearProps: "all"
     });
+    
+    const untrack = playback.track(tl);
 
     return () => {
+      untrack();
       tl.kill();
       ScrollTrigger.getAll().forEach(trigger => {
         if (trigger.vars.trigger === list) {
@@ -44,11 +216,16 @@ const AnimatedList = ({
         }
       });
     };
-  }, [children, stagger, duration, from, threshold, delay, ease]);
+  }, [layout ? null : children, stagger, duration, JSON.stringify(from), threshold, scroller, delay, ease, !!variants, !!batch, shouldReduceMotion]);
 
   return (
     <div ref={listRef}>
-      {children}
+      {variantContext ? (
+        <VariantContext.Provider value={variantContext}>
+          {children}
+        </VariantContext.Provider>
+      ) : children}
+      {snapshot}
     </div>
   );
 };
@@ -1,5 +1,7 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { playback } from '../utils/playback';
 
 const MagneticElement = ({
   children,
@@ -7,7 +9,8 @@ const MagneticElement = ({
   damping = 0.1,
   radius = 100,
   className = '',
-  style = {}
+  style = {},
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const elementRef = useRef(null);
   const animationRef = useRef(null);
@@ -15,10 +18,13 @@ const MagneticElement = ({
   const centerY = useRef(0);
   const targetX = useRef(0);
   const targetY = useRef(0);
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
 
   useEffect(() => {
     const element = elementRef.current;
-    if (!element) return;
+    
+    // The element stays put for users who prefer reduced motion
+    if (!element || disableAllAnimations || shouldReduceMotion) return;
     
     // Get element dimensions and position
     const updateCenter = () => {
@@ -33,16 +39,16 @@ const MagneticElement = ({
     window.addEventListener('resize', updateCenter);
     window.addEventListener('scroll', updateCenter);
     
-    // Magnetic effect - track mouse position
-    const handleMouseMove = (e) => {
+    // Magnetic effect - track pointer position (a touch also pulls while the finger is down)
+    const handlePointerMove = (e) => {
       const { clientX, clientY } = e;
       
-      // Calculate distance from mouse to element center
+      // Calculate distance from pointer to element center
       const distX = clientX - centerX.current;
       const distY = clientY - centerY.current;
       const distance = Math.sqrt(distX * distX + distY * distY);
       
-      // Only apply effect if mouse is within radius
+      // Only apply effect if pointer is within radius
       if (distance < radius) {
         // Calculate strength based on distance
         const power = (radius - distance) / radius;
@@ -52,9 +58,7 @@ const MagneticElement = ({
         targetY.current = distY * power * strength;
         
         // Start animation if not already running
-        if (!animationRef.current) {
-          animatePosition();
-        }
+        startLoop();
       } else {
         // Set target back to 0
         targetX.current = 0;
@@ -62,9 +66,23 @@ const MagneticElement = ({
       }
     };
     
-    // Animation loop for smooth movement
-    const animatePosition = () => {
-      // Apply damping for smoother motion
+    // Animation loop for smooth movement, run on the shared frame loop
+    const startLoop = () => {
+      if (!animationRef.current) {
+        animationRef.current = playback.addLoop(animatePosition, { element });
+      }
+    };
+    
+    const stopLoop = () => {
+      if (animationRef.current) {
+        animationRef.current();
+        animationRef.current = null;
+      }
+    };
+    
+    const animatePosition = (deltaTime) => {
+      // Apply damping for smoother motion, scaled to the time since the last frame
+      const easing = Math.min(1, damping * (deltaTime / (1000 / 60)));
       const currentX = parseFloat(gsap.getProperty(element, "x") || 0);
       const currentY = parseFloat(gsap.getProperty(element, "y") || 0);
       
@@ -73,31 +91,41 @@ const MagneticElement = ({
       
       if (Math.abs(dx) < 0.1 && Math.abs(dy) < 0.1) {
         gsap.set(element, { x: targetX.current, y: targetY.current });
-        animationRef.current = null;
+        stopLoop();
         return;
       }
       
       gsap.set(element, {
-        x: currentX + dx * damping,
-        y: currentY + dy * damping
+        x: currentX + dx * easing,
+        y: currentY + dy * easing
       });
+    };
+    
+    // Fingers can't hover, so let go once a touch ends
+    const handlePointerEnd = (e) => {
+      if (e.pointerType === 'mouse') return;
       
-      animationRef.current = requestAnimationFrame(animatePosition);
+      targetX.current = 0;
+      targetY.current = 0;
+      startLoop();
     };
     
-    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('pointerdown', handlePointerMove);
+    document.addEventListener('pointermove', handlePointerMove);
+    document.addEventListener('pointerup', handlePointerEnd);
+    document.addEventListener('pointercancel', handlePointerEnd);
     
     return () => {
-      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('pointerdown', handlePointerMove);
+      document.removeEventListener('pointermove', handlePointerMove);
+      document.removeEventListener('pointerup', handlePointerEnd);
+      document.removeEventListener('pointercancel', handlePointerEnd);
       window.removeEventListener('resize', updateCenter);
       window.removeEventListener('scroll', updateCenter);
       
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-        animationRef.current = null;
-      }
+      stopLoop();
     };
-  }, [strength, damping, radius]);
+  }, [strength, damping, radius, disableAllAnimations, shouldReduceMotion]);
 
   const defaultStyle = {
     display: 'inline-block',
@@ -1,29 +1,44 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { playback } from '../utils/playback';
+import { isRTL, resolveDirection } from '../utils/direction';
 
 const Marquee = ({
   children,
-  direction = 'left',
+  direction = 'start', // 'start', 'end', 'left', 'right', 'up' or 'down'; 'start' moves towards the left, or the right for right-to-left text
   speed = 50, // pixels per second
   pauseOnHover = true,
   spacing = 20,
   className = '',
-  style = {}
+  style = {},
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const containerRef = useRef(null);
   const trackRef = useRef(null);
   const contentRef = useRef(null);
   const cloneRef = useRef(null);
   const animationRef = useRef(null);
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
+  
+  // Show the items as a static, wrapping list instead of scrolling them
+  const isStatic = disableAllAnimations || shouldReduceMotion;
 
   useEffect(() => {
+    if (isStatic) {
+      gsap.set(contentRef.current, { clearProps: 'transform' });
+      return;
+    }
+    
     const container = containerRef.current;
     const track = trackRef.current;
     const content = contentRef.current;
     const clone = cloneRef.current;
     
     // Determine animation direction
-    const isHorizontal = direction === 'left' || direction === 'right';
+    const rtl = isRTL(container);
+    const side = resolveDirection(direction, rtl);
+    const isHorizontal = side === 'left' || side === 'right';
     const property = isHorizontal ? 'x' : 'y';
     
     // Clone the content
@@ -36,8 +51,15 @@ const Marquee = ({
     // Set starting positions
     gsap.set(track, { display: 'flex', flexDirection: isHorizontal ? 'row' : 'column' });
     
+    // The track is positioned and moved in physical pixels, so it is always laid
+    // out left to right; the items keep their own order and text direction
+    if (rtl) {
+      gsap.set(track, { direction: 'ltr' });
+      gsap.set([content, clone], { direction: 'rtl' });
+    }
+    
     // Set initial position
-    if (direction === 'left' || direction === 'up') {
+    if (side === 'left' || side === 'up') {
       gsap.set([content, clone], { [property]: 0 });
     } else {
       gsap.set(content, { [property]: -totalDistance });
@@ -48,13 +70,16 @@ const Marquee = ({
     const duration = totalDistance / speed;
     
     // Create the animation
+    let untrack = () => {};
+    
     const createAnimation = () => {
       // Clear any existing animation
       if (animationRef.current) {
         animationRef.current.kill();
       }
+      untrack();
       
-      if (direction === 'left') {
+      if (side === 'left') {
         animationRef.current = gsap.to([content, clone], {
           x: -totalDistance,
           ease: 'none',
@@ -66,7 +91,7 @@ const Marquee = ({
             }
           }
         });
-      } else if (direction === 'right') {
+      } else if (side === 'right') {
         animationRef.current = gsap.to([content, clone], {
           x: totalDistance,
           ease: 'none',
@@ -78,7 +103,7 @@ const Marquee = ({
             }
           }
         });
-      } else if (direction === 'up') {
+      } else if (side === 'up') {
         animationRef.current = gsap.to([content, clone], {
           y: -totalDistance,
           ease: 'none',
@@ -90,7 +115,7 @@ const Marquee = ({
             }
           }
         });
-      } else if (direction === 'down') {
+      } else if (side === 'down') {
         animationRef.current = gsap.to([content, clone], {
           y: totalDistance,
           ease: 'none',
@@ -103,6 +128,8 @@ const Marquee = ({
           }
         });
       }
+      
+      untrack = playback.track(animationRef.current);
     };
     
     createAnimation();
@@ -136,9 +163,10 @@ const Marquee = ({
       if (animationRef.current) {
         animationRef.current.kill();
       }
+      untrack();
       window.removeEventListener('resize', handleResize);
     };
-  }, [direction, speed, pauseOnHover, spacing, children]);
+  }, [direction, speed, pauseOnHover, spacing, children, isStatic]);
 
   const containerStyle = {
     overflow: 'hidden',
@@ -147,19 +175,23 @@ const Marquee = ({
     ...style
   };
 
-  const trackStyle = {
+  const isVertical = direction === 'up' || direction === 'down';
+
+  const trackStyle = isStatic ? {} : {
     position: 'absolute',
     top: 0,
     left: 0,
-    width: direction === 'left' || direction === 'right' ? '200%' : '100%',
-    height: direction === 'up' || direction === 'down' ? '200%' : '100%',
+    width: isVertical ? '100%' : '200%',
+    height: isVertical ? '200%' : '100%',
     display: 'flex',
-    flexDirection: direction === 'left' || direction === 'right' ? 'row' : 'column'
+    flexDirection: isVertical ? 'column' : 'row'
   };
 
   const contentStyle = {
     display: 'flex',
-    flexDirection: direction === 'left' || direction === 'right' ? 'row' : 'column',
+    flexDirection: isVertical ? 'column' : 'row',
+    flexWrap: isStatic ? 'wrap' : 'nowrap',
+    gap: isStatic ? spacing : undefined,
     alignItems: 'center',
     justifyContent: 'center',
     flexShrink: 0
@@ -171,7 +203,7 @@ const Marquee = ({
         <div ref={contentRef} style={contentStyle}>
           {children}
         </div>
-        <div ref={cloneRef} style={contentStyle}></div>
+        {!isStatic && <div ref={cloneRef} style={contentStyle}></div>}
       </div>
     </div>
   );
@@ -1,6 +1,8 @@
 import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { resolveScroller } from '../utils/scroller';
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -11,10 +13,19 @@ const ParallaxSection = ({
   overlay = true,
   overlayColor = 'rgba(0, 0, 0, 0.4)',
   height = '50vh',
-  style = {}
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
+  style = {},
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const sectionRef = useRef(null);
   const backgroundRef = useRef(null);
+  const {
+    disableScrollAnimations,
+    shouldReduceMotion,
+    scroller: defaultScroller
+  } = useAnimationSettings(reducedMotion);
+  
+  if (scroller === undefined) scroller = defaultScroller;
 
   useEffect(() => {
     const section = sectionRef.current;
@@ -33,6 +44,12 @@ const ParallaxSection = ({
       zIndex: -1
     });
     
+    // Keep the background fixed in place for users who prefer reduced motion
+    if (disableScrollAnimations || shouldReduceMotion) {
+      gsap.set(background, { yPercent: 0 });
+      return;
+    }
+    
     // Calculate the amount to move - slower speed means less movement
     const yPercent = -speed * 100;
     
@@ -41,6 +58,7 @@ const ParallaxSection = ({
       ease: "none",
       scrollTrigger: {
         trigger: section,
+        scroller: resolveScroller(scroller, section),
         start: "top bottom",
         end: "bottom top",
         scrub: true
@@ -54,7 +72,7 @@ const ParallaxSection = ({
         }
       });
     };
-  }, [backgroundImage, speed]);
+  }, [backgroundImage, speed, scroller, disableScrollAnimations, shouldReduceMotion]);
 
   const sectionStyle = {
     position: 'relative',
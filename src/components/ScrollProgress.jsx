@@ -1,11 +1,10 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect } from 'react';
 import { gsap } from 'gsap';
-import { ScrollTrigger } from 'gsap/ScrollTrigger';
-
-gsap.registerPlugin(ScrollTrigger);
+import { useScrollProgress } from '../utils/useScrollProgress';
+import { useScrollSections } from '../context/ScrollSectionsContext';
 
 const ScrollProgress = ({
-  type = 'bar', // 'bar', 'circle', 'dots'
+  type = 'bar', // 'bar', 'circle', 'dots' (one clickable dot per section inside ScrollSections)
   position = 'top', // 'top', 'bottom', 'left', 'right'
   color = '#000',
   backgroundColor = 'rgba(0, 0, 0, 0.1)',
@@ -13,54 +12,58 @@ const ScrollProgress = ({
   fixed = true,
   showPercentage = false,
   percentagePosition = 'end', // 'start', 'end', 'center'
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
   className = '',
   style = {}
 }) => {
   const progressRef = useRef(null);
   const percentageRef = useRef(null);
-  const [progress, setProgress] = useState(0);
+  
+  // Page (or scroller) progress, applied straight to the DOM without re-rendering
+  const scrollProgress = useScrollProgress(undefined, { scroller });
+  
+  // Inside ScrollSections the dots navigate between sections
+  const sections = useScrollSections();
+  const isNavigation = type === 'dots' && !!sections;
 
   useEffect(() => {
     const progressElement = progressRef.current;
-    const percentageElement = percentageRef.current;
     
-    // Create ScrollTrigger for tracking scroll progress
-    const scrollTrigger = ScrollTrigger.create({
-      start: 'top top',
-      end: 'bottom bottom',
-      onUpdate: (self) => {
-        const newProgress = Math.round(self.progress * 100);
-        setProgress(newProgress);
+    const update = (progress) => {
+      const newProgress = Math.round(progress * 100);
+      
+      // The label is only written here, so React never reconciles its text
+      if (percentageRef.current) {
+        percentageRef.current.textContent = `${newProgress}%`;
+      }
+      
+      if (type === 'bar') {
+        if (position === 'top' || position === 'bottom') {
+          gsap.set(progressElement, { width: `${newProgress}%` });
+        } else {
+          gsap.set(progressElement, { height: `${newProgress}%` });
+        }
+      } else if (type === 'circle') {
+        const circumference = 2 * Math.PI * (size * 10);
+        const dashOffset = circumference * (1 - progress);
+        gsap.set(progressElement, { strokeDashoffset: dashOffset });
+      } else if (type === 'dots' && !isNavigation) {
+        const dots = progressElement.children;
+        const activeIndex = Math.floor(progress * dots.length);
         
-        if (type === 'bar') {
-          if (position === 'top' || position === 'bottom') {
-            gsap.set(progressElement, { width: `${newProgress}%` });
+        for (let i = 0; i < dots.length; i++) {
+          if (i <= activeIndex) {
+            gsap.set(dots[i], { backgroundColor: color });
           } else {
-            gsap.set(progressElement, { height: `${newProgress}%` });
-          }
-        } else if (type === 'circle') {
-          const circumference = 2 * Math.PI * (size * 10);
-          const dashOffset = circumference * (1 - self.progress);
-          gsap.set(progressElement, { strokeDashoffset: dashOffset });
-        } else if (type === 'dots') {
-          const dots = progressElement.children;
-          const activeIndex = Math.floor(self.progress * dots.length);
-          
-          for (let i = 0; i < dots.length; i++) {
-            if (i <= activeIndex) {
-              gsap.set(dots[i], { backgroundColor: color });
-            } else {
-              gsap.set(dots[i], { backgroundColor: backgroundColor });
-            }
+            gsap.set(dots[i], { backgroundColor: backgroundColor });
           }
         }
       }
-    });
-    
-    return () => {
-      scrollTrigger.kill();
     };
-  }, [type, position, color, backgroundColor, size]);
+    
+    update(scrollProgress.get());
+    return scrollProgress.subscribe(update);
+  }, [type, position, color, backgroundColor, size, showPercentage, isNavigation]);
 
   // Determine container style based on position and type
   const getContainerStyle = () => {
@@ -292,9 +295,7 @@ const ScrollProgress = ({
         <>
           <div ref={progressRef} style={getProgressStyle()}></div>
           {showPercentage && (
-            <div ref={percentageRef} style={getPercentageStyle()}>
-              {progress}%
-            </div>
+            <div ref={percentageRef} style={getPercentageStyle()}></div>
           )}
         </>
       );
@@ -329,13 +330,46 @@ const ScrollProgress = ({
             />
           </svg>
           {showPercentage && (
-            <div ref={percentageRef} style={getPercentageStyle()}>
-              {progress}%
-            </div>
+            <div ref={percentageRef} style={getPercentageStyle()}></div>
           )}
         </>
       );
     } else if (type === 'dots') {
+      const dotStyle = {
+        width: `${size * 2}px`,
+        height: `${size * 2}px`,
+        borderRadius: '50%'
+      };
+      
+      // One button per section, filled up to the active one
+      if (isNavigation) {
+        const dots = [];
+        for (let i = 0; i < sections.count; i++) {
+          dots.push(
+            <button
+              key={i}
+              type="button"
+              aria-label={`Go to section ${i + 1}`}
+              aria-current={i === sections.activeIndex ? 'true' : undefined}
+              onClick={() => sections.goTo(i)}
+              style={{
+                ...dotStyle,
+                padding: 0,
+                border: 'none',
+                cursor: 'pointer',
+                backgroundColor: i <= sections.activeIndex ? color : backgroundColor
+              }}
+            ></button>
+          );
+        }
+        
+        return (
+          <nav ref={progressRef} aria-label="Sections" style={{ display: 'flex', flexDirection: position === 'left' || position === 'right' ? 'column' : 'row', gap: '10px' }}>
+            {dots}
+          </nav>
+        );
+      }
+      
       // Create 10 dots for progress
       const dots = [];
       for (let i = 0; i < 10; i++) {
@@ -343,9 +377,7 @@ const ScrollProgress = ({
           <div
             key={i}
             style={{
-              width: `${size * 2}px`,
-              height: `${size * 2}px`,
-              borderRadius: '50%',
+              ...dotStyle,
               backgroundColor: i === 0 ? color : backgroundColor
             }}
           ></div>
@@ -358,9 +390,7 @@ const ScrollProgress = ({
             {dots}
           </div>
           {showPercentage && (
-            <div ref={percentageRef} style={getPercentageStyle()}>
-              {progress}%
-            </div>
+            <div ref={percentageRef} style={getPercentageStyle()}></div>
           )}
         </>
       );
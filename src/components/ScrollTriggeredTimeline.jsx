@@ -1,6 +1,12 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useState, useMemo } from 'react';
+import { useGSAP } from '@gsap/react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import TimelineContext from '../context/TimelineContext';
+import { sortByDocumentOrder } from '../utils/useVariants';
+import { playback } from '../utils/playback';
+import { resolveScroller } from '../utils/scroller';
+import { useAnimationSettings } from '../context/AnimationContext';
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -13,6 +19,7 @@ const ScrollTriggeredTimeline = ({
   markers = false,
   anticipatePin = 0,
   snap = null,
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
   id = "",
   className = "",
   style = {},
@@ -23,15 +30,38 @@ const ScrollTriggeredTimeline = ({
   onUpdate
 }) => {
   const sectionRef = useRef(null);
-  const timelineRef = useRef(null);
+  const [timeline, setTimeline] = useState(null);
+  const { scroller: defaultScroller } = useAnimationSettings();
+  
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Segments registered by descendants (FadeIn, SlideIn, TextReveal, TimelineStep, useTimelineSegment)
+  const segmentsRef = useRef(new Set());
+  const builtRef = useRef(false);
+  const [segmentsVersion, setSegmentsVersion] = useState(0);
+  
+  // Rebuild when segments come and go after the first build
+  const register = useRef((segment) => {
+    segmentsRef.current.add(segment);
+    if (builtRef.current) setSegmentsVersion(version => version + 1);
+    
+    return () => {
+      segmentsRef.current.delete(segment);
+      if (builtRef.current) setSegmentsVersion(version => version + 1);
+    };
+  }).current;
 
-  useEffect(() => {
-    const section = sectionRef.current;
+  // Built in a layout effect so the pin is reverted before React removes the section,
+  // and inside a context so a rebuild restores the styles segments changed
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
     
-    // Create a timeline
+    const section = sectionRef.current;
     const tl = gsap.timeline({
       scrollTrigger: {
         trigger: section,
+        scroller: resolveScroller(scroller, section),
         start,
         end,
         scrub: scrub === true ? 1 : scrub,
@@ -48,32 +78,30 @@ const ScrollTriggeredTimeline = ({
       }
     });
     
-    // Store the timeline for child components to reference
-    timelineRef.current = tl;
+    const segments = sortByDocumentOrder(Array.from(segmentsRef.current));
+    segments.forEach(segment => segment.build(tl));
     
-    // Cleanup
-    return () => {
-      tl.kill();
-      ScrollTrigger.getAll().forEach(trigger => {
-        if (trigger.vars.trigger === section) {
-          trigger.kill();
-        }
-      });
-    };
-  }, [scrub, pin, start, end, markers, anticipatePin, snap, id, onEnter, onLeave, onEnterBack, onLeaveBack, onUpdate]);
-
-  // Provide the timeline to children if they need it
-  const childrenWithProps = React.Children.map(children, child => {
-    if (React.isValidElement(child)) {
-      return React.cloneElement(child, { timeline: timelineRef.current });
+    // Steps are placed as fractions of the scroll distance, so the timeline lasts at least 1
+    if (segments.some(segment => segment.step && segment.step.at !== undefined) && tl.duration() < 1) {
+      tl.set({}, {}, 1);
     }
-    return child;
-  });
+    
+    builtRef.current = true;
+    setTimeline(tl);
+  }, [scrub, pin, start, end, markers, anticipatePin, snap, scroller, id, onEnter, onLeave, onEnterBack, onLeaveBack, onUpdate, segmentsVersion], sectionRef);
+  
+  const contextValue = useMemo(() => ({
+    timeline,
+    register,
+    step: null
+  }), [timeline]);
 
   return (
-    <div ref={sectionRef} className={className} style={style}>
-      {childrenWithProps}
-    </div>
+    <TimelineContext.Provider value={contextValue}>
+      <div ref={sectionRef} className={className} style={style}>
+        {children}
+      </div>
+    </TimelineContext.Provider>
   );
 };
 
@@ -1,46 +1,270 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useState, useEffect, useLayoutEffect, useMemo } from 'react';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { useVariants } from '../utils/useVariants';
+import { useAnimationSettings, useAnimationQuality } from '../context/AnimationContext';
+import { withoutMotion } from '../utils/animations';
+import { playback } from '../utils/playback';
+import { resolveScroller } from '../utils/scroller';
+import { splitGraphemes, splitWords, visuallyHiddenStyle } from '../utils/text';
+import { isRTL } from '../utils/direction';
+import { getEaseDuration } from '../utils/easings';
 
 gsap.registerPlugin(ScrollTrigger);
 
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+// Attribute value marking the elements animated for each type
+const UNITS = { chars: 'char', words: 'word', lines: 'line' };
+
+const maskStyle = { display: 'inline-block', overflow: 'hidden', verticalAlign: 'top' };
+
+const getTypeName = (type) => (typeof type === 'string' ? type : type.displayName || type.name || 'component');
+
+// Flatten children into words, whitespace, line breaks and childless elements,
+// remembering the inline elements (strong, links, ...) around each of them
+const tokenize = (children, ancestors = [], tokens = []) => {
+  React.Children.forEach(children, child => {
+    if (child === null || child === undefined || typeof child === 'boolean') return;
+    
+    if (typeof child === 'string' || typeof child === 'number') {
+      String(child).split(/(\s+)/).forEach(text => {
+        if (!text) return;
+        
+        if (/^\s/.test(text)) {
+          tokens.push({ kind: 'space', text, ancestors, index: tokens.length });
+          return;
+        }
+        
+        splitWords(text).forEach(word => {
+          tokens.push({ kind: 'word', text: word, ancestors, index: tokens.length });
+        });
+      });
+    } else if (React.isValidElement(child)) {
+      if (child.type === 'br') {
+        tokens.push({ kind: 'break', ancestors, index: tokens.length });
+      } else if (child.props.children === undefined || child.props.children === null) {
+        tokens.push({ kind: 'element', element: child, ancestors, index: tokens.length });
+      } else {
+        tokenize(child.props.children, [...ancestors, child], tokens);
+      }
+    }
+  });
+  
+  return tokens;
+};
+
+// Order elements the way they are read on screen: line by line, each line
+// from its start, which is the right edge for right-to-left text. Words from
+// the other direction (a brand name in Hebrew, say) then take their visual place.
+const sortByReadingOrder = (elements, rtl) => {
+  const items = elements
+    .map(element => ({ element, rect: element.getBoundingClientRect() }))
+    .sort((a, b) => a.rect.top - b.rect.top);
+  
+  const lines = [];
+  
+  items.forEach(item => {
+    const line = lines[lines.length - 1];
+    
+    if (line && item.rect.top - line[0].rect.top <= item.rect.height / 2) {
+      line.push(item);
+    } else {
+      lines.push([item]);
+    }
+  });
+  
+  return lines
+    .map(line => line.sort((a, b) => (rtl ? b.rect.right - a.rect.right : a.rect.left - b.rect.left)))
+    .flat()
+    .map(item => item.element);
+};
+
+// Elements keyboard users can reach, which the hidden readable copy takes out of the tab order
+const isFocusable = (element) => (
+  ['a', 'button', 'input', 'select', 'textarea'].includes(element.type) ||
+  element.props.href !== undefined ||
+  element.props.tabIndex !== undefined
+);
+
+// Rebuild the inline elements around runs of tokens that share them
+const renderTokens = (tokens, renderToken, getProps = () => ({}), depth = 0) => {
+  const nodes = [];
+  let i = 0;
+  
+  while (i < tokens.length) {
+    const ancestor = tokens[i].ancestors[depth];
+    
+    if (!ancestor) {
+      nodes.push(renderToken(tokens[i]));
+      i++;
+      continue;
+    }
+    
+    let j = i + 1;
+    while (j < tokens.length && tokens[j].ancestors[depth] === ancestor) j++;
+    
+    nodes.push(React.cloneElement(
+      ancestor,
+      { ...getProps(ancestor), key: `${depth}-${tokens[i].index}` },
+      ...renderTokens(tokens.slice(i, j), renderToken, getProps, depth + 1)
+    ));
+    i = j;
+  }
+  
+  return nodes;
+};
+
 const SplitText = ({
-  children,
+  children, // Text, which may contain inline elements such as <strong>, <em> and links
   type = 'chars', // 'chars', 'words', or 'lines'
-  animation = 'fadeIn', // 'fadeIn', 'stagger', 'wave', 'random'
-  duration = 0.5,
+  animation = 'fadeIn', // 'fadeIn', 'stagger', 'wave', 'random', 'slideUp'
+  mask = false, // Clip each element to its own box, so 'slideUp' reveals it from below
+  duration, // Defaults to a spring ease's settle time, otherwise 0.5 unless an AnimationProvider sets defaultDuration
   stagger = 0.03,
-  delay = 0,
+  delay, // Defaults to the nearest AnimationProvider's defaultDelay
   threshold = 0.2,
-  ease = "power3.out",
+  scroller, // Scroll container as a ref or selector; defaults to the nearest AnimationProvider's scroller, otherwise the window
+  ease, // Defaults to 'power3.out' unless an AnimationProvider sets defaultEase
   color,
+  resizeDebounce = 150, // Milliseconds to wait after the width changes before lines are split again
   wrapperClassName = '',
-  elementClassName = ''
+  elementClassName = '',
+  variants, // Named states for each split element; replaces `animation` when set
+  initial,
+  animate,
+  reducedMotion // Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
 }) => {
   const containerRef = useRef(null);
-  const [elements, setElements] = useState([]);
-
+  const {
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion, { defaultDuration: 0.5, defaultEase: 'power3.out' });
+  
+  if (ease === undefined) ease = defaultEase;
+  if (duration === undefined) duration = getEaseDuration(ease, defaultDuration);
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Lower quality tiers animate whole words instead of every character
+  const { splitChars } = useAnimationQuality();
+  if (type === 'chars' && !splitChars) type = 'words';
+  
+  // Split during render so the words and characters exist on the first commit
+  const tokens = useMemo(() => tokenize(children), [children]);
+  
+  // Children are new elements on every parent render, so compare their content
+  const signature = useMemo(() => tokens.map(token => (
+    `${token.ancestors.map(ancestor => getTypeName(ancestor.type)).join('>')}:${token.kind}:${token.text || ''}`
+  )).join('|'), [tokens]);
+  
+  // Lines depend on the rendered layout: the words are rendered unwrapped and
+  // measured first, then grouped into lines before the browser paints
+  const [lineRanges, setLineRanges] = useState(null);
+  const ranges = type === 'lines' && lineRanges && lineRanges.signature === signature ? lineRanges.ranges : null;
+  
+  useIsomorphicLayoutEffect(() => {
+    if (type !== 'lines' || ranges) return;
+    
+    const container = containerRef.current;
+    if (!container) return;
+    
+    const words = container.querySelectorAll('[data-split="word"]');
+    const nextRanges = [];
+    let lineStart = 0;
+    let lineTop = null;
+    let wordIndex = 0;
+    
+    // A word starts a new line once it sits more than half its height below
+    // the first word of the line (so superscripts stay on their line)
+    tokens.forEach((token, index) => {
+      if (token.kind !== 'word') return;
+      
+      const rect = words[wordIndex++].getBoundingClientRect();
+      
+      if (lineTop !== null && rect.top - lineTop > rect.height / 2) {
+        nextRanges.push([lineStart, index]);
+        lineStart = index;
+        lineTop = null;
+      }
+      
+      if (lineTop === null) lineTop = rect.top;
+    });
+    
+    if (tokens.length > 0) nextRanges.push([lineStart, tokens.length]);
+    
+    setLineRanges({ signature, ranges: nextRanges });
+  }, [type, signature, ranges]);
+  
+  // Split the lines again once the width has settled
   useEffect(() => {
-    if (!children || typeof children !== 'string') return;
+    const container = containerRef.current;
+    if (type !== 'lines' || !container) return;
     
-    let splitElements = [];
+    let width = container.offsetWidth;
+    let timer = null;
     
-    if (type === 'chars') {
-      splitElements = children.split('');
-    } else if (type === 'words') {
-      splitElements = children.split(' ');
-    } else if (type === 'lines') {
-      splitElements = children.split('\\n');
+    const handleResize = () => {
+      if (container.offsetWidth === width) return;
+      width = container.offsetWidth;
+      
+      clearTimeout(timer);
+      timer = setTimeout(() => setLineRanges(null), resizeDebounce);
+    };
+    
+    let resizeObserver = null;
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(handleResize);
+      resizeObserver.observe(container);
+    } else {
+      window.addEventListener('resize', handleResize);
     }
     
-    setElements(splitElements);
-  }, [children, type]);
+    return () => {
+      clearTimeout(timer);
+      
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      } else {
+        window.removeEventListener('resize', handleResize);
+      }
+    };
+  }, [type, resizeDebounce]);
+  
+  const getUnits = () => {
+    const container = containerRef.current;
+    if (!container) return [];
+    
+    const units = Array.from(container.querySelectorAll(`[data-split="${UNITS[type] || 'char'}"]`));
+    return sortByReadingOrder(units, isRTL(container));
+  };
+  
+  // Label-driven animation of the split elements through variants
+  useVariants(containerRef, {
+    variants,
+    initial,
+    animate,
+    transition: { duration, stagger, delay, ease },
+    getTargets: getUnits,
+    reducedMotion
+  });
+  
+  // Text that has been revealed stays visible when its lines are split again
+  const revealedRef = useRef(null);
 
   useEffect(() => {
-    if (elements.length === 0) return;
+    if (tokens.length === 0 || variants) return;
+    if (type === 'lines' && !ranges) return;
+    if (revealedRef.current === signature) return;
     
     const container = containerRef.current;
-    const childElements = container.children;
+    const childElements = getUnits();
+    if (childElements.length === 0) return;
     
     let from = {};
     
@@ -57,15 +281,28 @@ const SplitText = ({
       case 'random':
         from = { opacity: 0, scale: 0, rotation: () => Math.random() * 60 - 30 };
         break;
+      case 'slideUp':
+        from = { yPercent: 100 };
+        break;
       default:
         from = { opacity: 0 };
     }
     
+    // Elements only fade in for users who prefer reduced motion
+    if (shouldReduceMotion) {
+      from = withoutMotion(from);
+      if (Object.keys(from).length === 0) from = { opacity: 0 };
+    }
+    
     const tl = gsap.timeline({
       scrollTrigger: {
         trigger: container,
+        scroller: resolveScroller(scroller, container),
         start: `top bottom-=${threshold * 100}%`,
         toggleActions: "play none none none"
+      },
+      onStart: () => {
+        revealedRef.current = signature;
       }
     });
     
@@ -77,7 +314,7 @@ const SplitText = ({
         delay,
         ease,
         stagger: {
-          amount: elements.length * 0.08,
+          amount: childElements.length * 0.08,
           from: "start",
           ease: "sine.inOut"
         },
@@ -93,8 +330,11 @@ const SplitText = ({
         clearProps: "all"
       });
     }
+    
+    const untrack = playback.track(tl);
 
     return () => {
+      untrack();
       tl.kill();
       ScrollTrigger.getAll().forEach(trigger => {
         if (trigger.vars.trigger === container) {
@@ -102,52 +342,106 @@ const SplitText = ({
         }
       });
     };
-  }, [elements, animation, duration, stagger, delay, threshold, ease]);
-
-  const getWrapper = () => {
-    switch(type) {
-      case 'chars':
-        return 'span';
-      case 'words':
-        return 'span';
-      case 'lines':
-        return 'div';
-      default:
-        return 'span';
-    }
-  };
+  }, [signature, type, ranges, animation, duration, stagger, delay, threshold, scroller, ease, !!variants, shouldReduceMotion]);
 
   const getElementStyle = () => {
-    let style = { display: 'inline-block' };
+    let style = { display: type === 'lines' ? 'block' : 'inline-block' };
     
     if (color) {
       style.color = color;
     }
     
-    if (type === 'words') {
-      style.marginRight = '0.25em';
-    }
-    
     return style;
   };
 
-  const Wrapper = getWrapper();
   const elementStyle = getElementStyle();
+  
+  const withMask = (element, key) => (mask ? <span key={key} style={maskStyle}>{element}</span> : element);
+  
+  const renderWord = (token) => {
+    if (type === 'chars') {
+      // Keep a word's characters together so lines only break between words
+      return (
+        <span key={token.index} data-split="word" style={{ display: 'inline-block', whiteSpace: 'nowrap' }}>
+          {splitGraphemes(token.text).map((char, index) => withMask(
+            <span key={index} data-split="char" className={elementClassName} style={elementStyle}>
+              {char}
+            </span>,
+            index
+          ))}
+        </span>
+      );
+    }
+    
+    if (type === 'words') {
+      return withMask(
+        <span key={token.index} data-split="word" className={elementClassName} style={elementStyle}>
+          {token.text}
+        </span>,
+        token.index
+      );
+    }
+    
+    // Words inside lines stay inline so they can be measured where they wrap
+    return <span key={token.index} data-split="word">{token.text}</span>;
+  };
+  
+  const renderToken = (token) => {
+    switch(token.kind) {
+      case 'space':
+        return token.text;
+      case 'break':
+        return <br key={token.index} />;
+      case 'element':
+        return React.cloneElement(token.element, { key: token.index });
+      default:
+        return renderWord(token);
+    }
+  };
+  
+  // Refs and keyboard focus stay with the split copy, which is the one on screen,
+  // so focus is drawn where the user sees it
+  const getReadableProps = (element) => (isFocusable(element) ? { ref: null, tabIndex: -1 } : { ref: null });
+  
+  // Screen readers read the text once, with its links and emphasis, instead of every fragment
+  const renderReadableToken = (token) => {
+    switch(token.kind) {
+      case 'break':
+        return <br key={token.index} />;
+      case 'element':
+        return React.cloneElement(token.element, { ...getReadableProps(token.element), key: token.index });
+      default:
+        return token.text;
+    }
+  };
+  
+  const renderLines = () => ranges.map(([start, end], index) => {
+    // Whitespace at the edges of a line would only indent it
+    let lineTokens = tokens.slice(start, end);
+    while (lineTokens.length > 0 && lineTokens[0].kind === 'space') lineTokens = lineTokens.slice(1);
+    while (lineTokens.length > 0 && lineTokens[lineTokens.length - 1].kind === 'space') lineTokens = lineTokens.slice(0, -1);
+    
+    const line = (
+      <div key={index} data-split="line" className={elementClassName} style={elementStyle}>
+        {renderTokens(lineTokens, renderToken)}
+      </div>
+    );
+    
+    return mask ? <div key={index} style={{ overflow: 'hidden' }}>{line}</div> : line;
+  });
 
   return (
     <div ref={containerRef} className={wrapperClassName}>
-      {elements.map((element, index) => (
-        <Wrapper 
-          key={index} 
-          className={elementClassName}
-          style={elementStyle}
-        >
-          {element}
-          {type === 'words' && index < elements.length - 1 ? ' ' : ''}
-        </Wrapper>
-      ))}
+      <span style={visuallyHiddenStyle}>
+        {renderTokens(tokens, renderReadableToken, getReadableProps)}
+      </span>
+      {ranges ? (
+        <div aria-hidden="true">{renderLines()}</div>
+      ) : (
+        <span aria-hidden="true">{renderTokens(tokens, renderToken)}</span>
+      )}
     </div>
   );
 };
 
-export default SplitText;
\ No newline at end of file
+export default SplitText;
@@ -0,0 +1,61 @@
+import React, { useRef, useContext, useMemo } from 'react';
+import { gsap } from 'gsap';
+import TimelineContext, { useTimelineSegment } from '../context/TimelineContext';
+
+// Accept numeric strings such as at="0.3" as well as GSAP position strings
+const toPosition = (value) => {
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? parseFloat(value) : value;
+};
+
+// Wrapper rendered inside the step's context, so its own animation is placed at the step
+const StepWrapper = ({ children, from, to, className, style }) => {
+  const stepRef = useRef(null);
+  
+  // The wrapper animates itself when given from/to vars
+  useTimelineSegment(stepRef, () => {
+    if (!stepRef.current || (!from && !to)) return null;
+    
+    if (from && to) return gsap.fromTo(stepRef.current, from, { ...to, paused: true });
+    if (from) return gsap.from(stepRef.current, { ...from, paused: true });
+    return gsap.to(stepRef.current, { ...to, paused: true });
+  });
+  
+  return (
+    <div ref={stepRef} className={className} style={style}>
+      {children}
+    </div>
+  );
+};
+
+const TimelineStep = ({
+  children,
+  at, // Start of the step in the parent timeline (0-1 of the scroll distance, or a GSAP position such as 'intro+=0.1')
+  duration, // Length every animation in the step is stretched to
+  label, // Timeline label added at the start of the step
+  from, // Optional GSAP vars to animate the step's own wrapper from
+  to, // Optional GSAP vars to animate the step's own wrapper to
+  className = '',
+  style = {}
+}) => {
+  const parent = useContext(TimelineContext);
+  
+  // Place nested segments at this step
+  const contextValue = useMemo(() => (parent ? {
+    ...parent,
+    step: {
+      at: toPosition(at),
+      duration: duration !== undefined ? parseFloat(duration) : undefined,
+      label
+    }
+  } : null), [parent, at, duration, label]);
+  
+  return (
+    <TimelineContext.Provider value={contextValue}>
+      <StepWrapper from={from} to={to} className={className} style={style}>
+        {children}
+      </StepWrapper>
+    </TimelineContext.Provider>
+  );
+};
+
+export default TimelineStep;
@@ -0,0 +1,299 @@
+import React, { useRef, useReducer, useEffect, useLayoutEffect, useMemo, useCallback } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import PresenceContext from '../../context/PresenceContext';
+import { useAnimationSettings } from '../../context/AnimationContext';
+import { fadeOut, withoutMotion } from '../../utils/animations';
+import { playback } from '../../utils/playback';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Get the valid, keyed children of AnimatePresence
+ * @param {React.ReactNode} children - Child elements
+ * @returns {React.ReactElement[]} Children with stable keys
+ */
+const getValidChildren = (children) => {
+  return React.Children.toArray(children).filter(child => React.isValidElement(child));
+};
+
+/**
+ * Remove the `exit` prop from DOM elements so it isn't rendered as an attribute
+ * @param {React.ReactElement} child - Child element
+ * @returns {React.ReactElement} Child element safe to render
+ */
+const stripExitProp = (child) => {
+  if (typeof child.type !== 'string' || !('exit' in child.props)) return child;
+  
+  const { exit, ...props } = child.props;
+  return React.createElement(child.type, { ...props, key: child.key, ref: child.ref });
+};
+
+/**
+ * Point a ref passed by the user at a DOM element
+ * @param {function|React.RefObject} ref - Callback or object ref
+ * @param {HTMLElement} node - DOM element, or null on unmount
+ */
+const assignRef = (ref, node) => {
+  if (typeof ref === 'function') {
+    ref(node);
+  } else if (ref) {
+    ref.current = node;
+  }
+};
+
+/**
+ * Take exiting elements out of the document flow so siblings can reflow immediately
+ * @param {HTMLElement[]} nodes - Exiting DOM elements
+ */
+const popFromLayout = (nodes) => {
+  const boxes = nodes.map(node => ({
+    top: node.offsetTop,
+    left: node.offsetLeft,
+    width: node.offsetWidth,
+    height: node.offsetHeight
+  }));
+  
+  nodes.forEach((node, index) => {
+    gsap.set(node, {
+      position: 'absolute',
+      top: boxes[index].top,
+      left: boxes[index].left,
+      width: boxes[index].width,
+      height: boxes[index].height,
+      margin: 0,
+      pointerEvents: 'none'
+    });
+  });
+};
+
+/**
+ * Tracks each child of AnimatePresence
+ * Runs the exit animation once the child is removed from the tree. DOM
+ * elements are animated directly through a ref; components, which may not
+ * forward one, are wrapped in a `display: contents` element instead.
+ */
+const PresenceChild = ({
+  children,
+  isPresent,
+  exit,
+  mode,
+  reducedMotion,
+  onExitComplete
+}) => {
+  const nodeRef = useRef(null);
+  const handlersRef = useRef(new Set());
+  const pendingRef = useRef(new Set());
+  const exitRef = useRef(null);
+  const completedRef = useRef(false);
+  
+  const {
+    disableAllAnimations,
+    defaultDuration,
+    defaultEase,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  const { context, contextSafe } = useGSAP(nodeRef);
+  
+  const isElement = typeof children.type === 'string';
+  const childRef = children.ref;
+  
+  // Share the DOM element with a ref the child already has
+  const setChildRef = useCallback((node) => {
+    nodeRef.current = node;
+    assignRef(childRef, node);
+  }, [childRef]);
+  
+  // Let the playback controller pause and resume exit animations
+  useEffect(() => playback.track(context), [context]);
+  
+  const complete = () => {
+    if (completedRef.current) return;
+    completedRef.current = true;
+    onExitComplete();
+  };
+  
+  // Context value for usePresence consumers
+  const contextValue = useMemo(() => ({
+    isPresent,
+    register: (id) => {
+      handlersRef.current.add(id);
+      return () => handlersRef.current.delete(id);
+    },
+    onExitComplete: (id) => {
+      pendingRef.current.delete(id);
+      if (pendingRef.current.size === 0) complete();
+    }
+  }), [isPresent]);
+  
+  const runExit = contextSafe((nodes) => {
+    const vars = {
+      duration: defaultDuration,
+      ease: defaultEase,
+      onComplete: complete
+    };
+    
+    if (typeof exit === 'function') {
+      // Custom exit returning a tween or timeline
+      const animation = exit(nodes, vars);
+      
+      if (animation && typeof animation.then === 'function') {
+        exitRef.current = animation;
+        animation.then(complete);
+      } else {
+        complete();
+      }
+    } else if (exit && typeof exit === 'object') {
+      // Only fade out, without moving, for users who prefer reduced motion
+      exitRef.current = gsap.to(nodes, { ...vars, ...(shouldReduceMotion ? withoutMotion(exit) : exit) });
+    } else {
+      exitRef.current = fadeOut(nodes, shouldReduceMotion ? { ...vars, direction: 'none' } : vars);
+    }
+  });
+  
+  useIsomorphicLayoutEffect(() => {
+    if (isPresent) {
+      // Re-entered while exiting: restore the pre-exit state
+      if (exitRef.current) {
+        exitRef.current.revert ? exitRef.current.revert() : exitRef.current.kill();
+        exitRef.current = null;
+      }
+      completedRef.current = false;
+      return;
+    }
+    
+    // A usePresence consumer takes over the exit
+    if (handlersRef.current.size > 0) {
+      pendingRef.current = new Set(handlersRef.current);
+      return;
+    }
+    
+    const nodes = !nodeRef.current ? [] :
+      isElement ? [nodeRef.current] : Array.from(nodeRef.current.children);
+    
+    if (nodes.length === 0 || disableAllAnimations) {
+      complete();
+      return;
+    }
+    
+    if (mode === 'popLayout') {
+      popFromLayout(nodes);
+    }
+    
+    runExit(nodes);
+  }, [isPresent]);
+  
+  return (
+    <PresenceContext.Provider value={contextValue}>
+      {isElement ? React.cloneElement(children, { ref: setChildRef }) : (
+        <div ref={nodeRef} className="react-gsap-presence-child" style={{ display: 'contents' }}>
+          {children}
+        </div>
+      )}
+    </PresenceContext.Provider>
+  );
+};
+
+/**
+ * AnimatePresence component for animating children out before they are removed
+ * Removed children stay mounted until their GSAP exit animation finishes
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Keyed child elements
+ * @param {string} props.mode - How entering and exiting children are sequenced ('sync', 'wait', 'popLayout')
+ * @param {Object|function} props.exit - Default exit animation (GSAP vars or function receiving the exiting elements)
+ * @param {function} props.onExitComplete - Callback when all exiting children have been removed
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ */
+const AnimatePresence = ({
+  children,
+  mode = 'sync',
+  exit,
+  onExitComplete = () => {},
+  reducedMotion
+}) => {
+  const [, forceRender] = useReducer(count => count + 1, 0);
+  const renderedRef = useRef([]);
+  const exitingRef = useRef(new Map());
+  const isMountedRef = useRef(false);
+  
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+  
+  const presentChildren = getValidChildren(children);
+  const presentKeys = new Set(presentChildren.map(child => child.key));
+  
+  // Children removed since the last render start exiting
+  renderedRef.current.forEach((child, index) => {
+    if (!presentKeys.has(child.key) && !exitingRef.current.has(child.key)) {
+      exitingRef.current.set(child.key, { element: child, index });
+    }
+  });
+  
+  // Children added back while exiting are present again
+  presentKeys.forEach(key => exitingRef.current.delete(key));
+  
+  // In 'wait' mode new children are held back until every exit has finished
+  let visibleChildren = presentChildren;
+  
+  if (mode === 'wait' && exitingRef.current.size > 0) {
+    const renderedKeys = new Set(renderedRef.current.map(child => child.key));
+    visibleChildren = presentChildren.filter(child => renderedKeys.has(child.key));
+  }
+  
+  renderedRef.current = visibleChildren;
+  
+  const handleExitComplete = (key) => {
+    if (!exitingRef.current.has(key)) return;
+    
+    exitingRef.current.delete(key);
+    
+    if (exitingRef.current.size === 0) {
+      onExitComplete();
+    }
+    
+    if (isMountedRef.current) {
+      forceRender();
+    }
+  };
+  
+  // Wrap present children
+  const output = visibleChildren.map(child => (
+    <PresenceChild
+      key={child.key}
+      isPresent={true}
+      exit={child.props.exit !== undefined ? child.props.exit : exit}
+      mode={mode}
+      reducedMotion={reducedMotion}
+      onExitComplete={() => {}}
+    >
+      {stripExitProp(child)}
+    </PresenceChild>
+  ));
+  
+  // Insert exiting children back at their previous position
+  exitingRef.current.forEach(({ element, index }, key) => {
+    output.splice(Math.min(index, output.length), 0, (
+      <PresenceChild
+        key={key}
+        isPresent={false}
+        exit={element.props.exit !== undefined ? element.props.exit : exit}
+        mode={mode}
+        reducedMotion={reducedMotion}
+        onExitComplete={() => handleExitComplete(key)}
+      >
+        {stripExitProp(element)}
+      </PresenceChild>
+    ));
+  });
+  
+  return <>{output}</>;
+};
+
+export default AnimatePresence;
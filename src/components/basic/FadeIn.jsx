@@ -3,44 +3,100 @@ import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import ScrollTrigger from 'gsap/ScrollTrigger';
 import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+import { getEaseDuration } from '../../utils/easings';
+import VariantContext from '../../context/VariantContext';
+import { useVariants } from '../../utils/useVariants';
+import { useTimelineSegment } from '../../context/TimelineContext';
 
 /**
  * FadeIn component for creating fade-in animations with GSAP
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child elements to animate
- * @param {number} props.duration - Animation duration in seconds
- * @param {number} props.delay - Animation delay in seconds
- * @param {string} props.ease - GSAP easing function
+ * @param {number} props.duration - Animation duration in seconds (defaults to a spring ease's settle time, otherwise the provider's defaultDuration)
+ * @param {number} props.delay - Animation delay in seconds (defaults to the provider's defaultDelay)
+ * @param {string|function} props.ease - GSAP easing function (defaults to the provider's defaultEase)
  * @param {string} props.direction - Fade direction ('up', 'down', 'left', 'right', 'none')
  * @param {string} props.trigger - Animation trigger type ('scroll', 'load', 'none', 'hover', 'click')
  * @param {number} props.threshold - Viewport threshold to trigger animation (0-1)
+ * @param {boolean} props.once - Only play the scroll animation the first time it enters
+ * @param {boolean} props.reverseOnLeave - Reverse when scrolling back above the start, and play again on the way down
+ * @param {string} props.toggleActions - ScrollTrigger toggle actions (defaults to 'play none none none', or 'play none none reverse' with reverseOnLeave)
+ * @param {boolean|number} props.scrub - Link the animation to the scroll position (true) or smooth it over this many seconds
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
  * @param {function} props.onStart - Callback when animation starts
  * @param {function} props.onComplete - Callback when animation completes
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
+ * @param {Object|function} props.exit - Exit animation used when removed inside AnimatePresence
+ * @param {Object} props.variants - Named animation states; replaces the direction-based animation when set
+ * @param {string|boolean} props.initial - Variant applied on mount (inherited from a parent with variants)
+ * @param {string} props.animate - Variant to animate to (inherited from a parent with variants)
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  */
 const FadeIn = ({ 
   children, 
-  duration = 0.8, 
-  delay = 0, 
-  ease = "power3.out",
+  duration, 
+  delay, 
+  ease,
   direction = 'up',
   trigger = 'scroll',
   threshold = 0.2,
+  once = false,
+  reverseOnLeave = false,
+  toggleActions,
+  scrub = false,
+  scroller,
   onStart = () => {},
   onComplete = () => {},
   className = '',
   style = {},
+  exit,
+  variants,
+  initial,
+  animate,
+  reducedMotion,
   ...otherProps
 }) => {
   const elementRef = useRef(null);
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  // Fall back to the nearest AnimationProvider's defaults
+  if (ease === undefined) ease = defaultEase;
+  if (duration === undefined) duration = getEaseDuration(ease, defaultDuration);
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Plays once on enter unless told to reverse or follow the scroll
+  if (toggleActions === undefined) toggleActions = reverseOnLeave ? 'play none none reverse' : 'play none none none';
+  
+  // Label-driven animation through variants
+  const variantContext = useVariants(elementRef, {
+    variants,
+    initial,
+    animate,
+    transition: { duration, delay, ease },
+    reducedMotion,
+    onAnimationComplete: onComplete
+  });
   
   // Get direction-based animation properties
   const getDirectionalProps = () => {
     const baseProps = { opacity: 0 };
     
+    // Fade in place for users who prefer reduced motion
+    if (shouldReduceMotion) return baseProps;
+    
     switch (direction) {
       case 'up':
         return { ...baseProps, y: 30 };
@@ -57,9 +113,26 @@ const FadeIn = ({
     }
   };
   
+  // Inside a ScrollTriggeredTimeline, become a segment of its scrubbed timeline instead
+  const inTimeline = useTimelineSegment(elementRef, () => {
+    if (!elementRef.current || variants || disableAllAnimations || disableScrollAnimations) return null;
+    
+    return gsap.from(elementRef.current, {
+      ...getDirectionalProps(),
+      duration,
+      ease,
+      onStart,
+      onComplete,
+      paused: true
+    });
+  });
+  
   // Use GSAP React hook
-  const { contextSafe } = useGSAP(() => {
-    if (!elementRef.current) return;
+  const { contextSafe } = useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    if (!elementRef.current || variants || inTimeline) return;
     
     // Skip if animations disabled
     if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
@@ -88,8 +161,12 @@ const FadeIn = ({
       if (trigger === 'scroll' && !disableScrollAnimations) {
         ScrollTrigger.create({
           trigger: elementRef.current,
+          scroller: resolveScroller(scroller, elementRef.current),
           start: `top bottom-=${threshold * 100}%`,
-          onEnter: () => tween.play()
+          animation: tween,
+          // Scrubbing runs until the element's center reaches the middle of the viewport
+          ...(scrub ? { end: 'center center', scrub } : { toggleActions }),
+          once
         });
       } else if (trigger === 'load') {
         // Play immediately for load trigger
@@ -105,23 +182,27 @@ const FadeIn = ({
           .forEach(st => st.kill());
       }
     };
-  }, { 
-    scope: elementRef,
-    dependencies: [
-      direction, 
-      duration, 
-      delay, 
-      ease, 
-      trigger, 
-      threshold,
-      disableAllAnimations, 
-      disableScrollAnimations
-    ]
-  });
+  }, [
+    direction, 
+    duration, 
+    delay, 
+    ease, 
+    trigger, 
+    threshold,
+    once,
+    toggleActions,
+    scrub,
+    scroller,
+    disableAllAnimations, 
+    disableScrollAnimations,
+    shouldReduceMotion,
+    !!variants,
+    inTimeline
+  ], elementRef);
   
   // Play animation function for manual triggers
   const playAnimation = contextSafe(() => {
-    if (disableAllAnimations) return;
+    if (disableAllAnimations || variants) return;
     
     const fromProps = getDirectionalProps();
     
@@ -169,12 +250,17 @@ const FadeIn = ({
     ...otherProps
   };
   
+  const content = typeof children === 'function' 
+    ? children({ play: playAnimation }) 
+    : children;
+  
   return (
     <div {...componentProps}>
-      {typeof children === 'function' 
-        ? children({ play: playAnimation }) 
-        : children
-      }
+      {variantContext ? (
+        <VariantContext.Provider value={variantContext}>
+          {content}
+        </VariantContext.Provider>
+      ) : content}
     </div>
   );
 };
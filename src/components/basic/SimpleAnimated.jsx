@@ -1,14 +1,19 @@
 import React, { useRef, useState, useEffect } from 'react';
 import { useAnimationSettings } from '../../context/AnimationContext';
-import { injectCSSKeyframes, mapEasing } from '../../utils/fallbacks';
+import { injectCSSKeyframes, mapEasing, getCssTransform } from '../../utils/fallbacks';
 
 /**
  * SimpleAnimated component that uses CSS animations exclusively
  * This component doesn't depend on GSAP at all, making it perfect for simple animations
  * and environments where you want to keep dependencies minimal
+ *
+ * Pass an `animate` target instead of a trigger to drive it from state: every
+ * change transitions from the current on-screen value, interrupting any
+ * transition still in flight.
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child elements to animate
+ * @param {Object} props.animate - Target state to transition to whenever it changes ({ x, y, scale, rotate, opacity })
  * @param {string} props.animationType - Type of animation ('fadeIn', 'fadeInUp', 'fadeInDown', 'fadeInLeft', 'fadeInRight', 'slideInUp', 'slideInDown', 'slideInLeft', 'slideInRight', 'zoomIn', 'pulse', 'bounce', 'typewriter')
  * @param {number} props.duration - Animation duration in seconds
  * @param {number} props.delay - Animation delay in seconds
@@ -21,9 +26,11 @@ import { injectCSSKeyframes, mapEasing } from '../../utils/fallbacks';
  * @param {function} props.onComplete - Callback when animation completes
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  */
 const SimpleAnimated = ({
   children,
+  animate,
   animationType = 'fadeIn',
   duration = 0.8,
   delay = 0,
@@ -36,6 +43,7 @@ const SimpleAnimated = ({
   onComplete = () => {},
   className = '',
   style = {},
+  reducedMotion,
   ...otherProps
 }) => {
   // Get reference to the DOM element
@@ -50,14 +58,83 @@ const SimpleAnimated = ({
   // Get global animation settings
   const {
     disableAllAnimations,
-    disableScrollAnimations
-  } = useAnimationSettings();
+    disableScrollAnimations,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  // Play a single plain fade for users who prefer reduced motion
+  if (shouldReduceMotion && animationType !== 'typewriter') {
+    animationType = 'fadeIn';
+    repeat = 0;
+  }
   
   // Inject CSS keyframes for animation
   useEffect(() => {
     injectCSSKeyframes();
   }, []);
   
+  const isStateDriven = animate !== undefined && animate !== null;
+  const targetStyles = isStateDriven ? {
+    transform: getCssTransform(animate),
+    opacity: animate.opacity === undefined ? 1 : animate.opacity
+  } : null;
+  
+  // Changing a transitioned property makes the browser retarget from the current value
+  const getTransitionStyles = () => {
+    const cssEase = mapEasing(ease);
+    const properties = shouldReduceMotion ? ['opacity'] : ['transform', 'opacity'];
+    
+    return {
+      ...targetStyles,
+      transition: disableAllAnimations
+        ? 'none'
+        : properties.map(property => `${property} ${duration}s ${cssEase} ${delay}s`).join(', ')
+    };
+  };
+  
+  // Properties still transitioning towards the current target
+  const previousTargetRef = useRef(targetStyles);
+  const pendingRef = useRef(new Set());
+  
+  useEffect(() => {
+    if (!isStateDriven) return;
+    
+    const previous = previousTargetRef.current;
+    previousTargetRef.current = targetStyles;
+    
+    // Nothing to animate on mount
+    if (!previous) return;
+    
+    const changed = Object.keys(targetStyles).filter(property => {
+      return String(previous[property]) !== String(targetStyles[property]);
+    });
+    
+    if (changed.length === 0) return;
+    
+    pendingRef.current = new Set(
+      disableAllAnimations || duration + delay === 0
+        ? []
+        : changed.filter(property => property === 'opacity' || !shouldReduceMotion)
+    );
+    
+    onStart();
+    
+    if (pendingRef.current.size === 0) {
+      onComplete();
+    }
+  }, [isStateDriven && targetStyles.transform, isStateDriven && targetStyles.opacity]);
+  
+  // Complete once every changed property has reached the target
+  const handleTransitionEnd = (e) => {
+    if (e.target !== elementRef.current || !pendingRef.current.has(e.propertyName)) return;
+    
+    pendingRef.current.delete(e.propertyName);
+    
+    if (pendingRef.current.size === 0) {
+      onComplete();
+    }
+  };
+  
   // Build animation styles
   const getAnimationStyles = () => {
     return {
@@ -101,7 +178,7 @@ const SimpleAnimated = ({
   
   // Set up animation based on trigger type
   useEffect(() => {
-    if (!elementRef.current) return;
+    if (!elementRef.current || isStateDriven) return;
     
     // Skip if animations disabled
     if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
@@ -155,10 +232,16 @@ const SimpleAnimated = ({
       if (timeoutId) clearTimeout(timeoutId);
       elementRef.current.removeEventListener('animationend', () => {});
     };
-  }, [trigger, threshold, disableAllAnimations, disableScrollAnimations, repeat]);
+  }, [trigger, threshold, disableAllAnimations, disableScrollAnimations, repeat, isStateDriven]);
   
   // Set up event handlers based on trigger type
   const getEventHandlers = () => {
+    if (isStateDriven) {
+      return {
+        onTransitionEnd: handleTransitionEnd
+      };
+    }
+    
     if (disableAllAnimations) return {};
     
     if (trigger === 'hover') {
@@ -180,7 +263,7 @@ const SimpleAnimated = ({
   // Combined props for rendering
   const combinedStyle = {
     ...style,
-    ...getAnimationStyles()
+    ...(isStateDriven ? getTransitionStyles() : getAnimationStyles())
   };
   
   const componentProps = {
@@ -3,30 +3,47 @@ import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import ScrollTrigger from 'gsap/ScrollTrigger';
 import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+import { getEaseDuration } from '../../utils/easings';
+import { isRTL, resolveDirection } from '../../utils/direction';
+import VariantContext from '../../context/VariantContext';
+import { useVariants } from '../../utils/useVariants';
+import { useTimelineSegment } from '../../context/TimelineContext';
 
 /**
  * SlideIn component for creating slide-in animations with GSAP
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child elements to animate
- * @param {number} props.duration - Animation duration in seconds
- * @param {number} props.delay - Animation delay in seconds
- * @param {string} props.ease - GSAP easing function
- * @param {string} props.direction - Slide direction ('up', 'down', 'left', 'right')
+ * @param {number} props.duration - Animation duration in seconds (defaults to a spring ease's settle time, otherwise the provider's defaultDuration)
+ * @param {number} props.delay - Animation delay in seconds (defaults to the provider's defaultDelay)
+ * @param {string|function} props.ease - GSAP easing function (defaults to the provider's defaultEase)
+ * @param {string} props.direction - Slide direction ('up', 'down', 'left', 'right', or 'start' and 'end', which follow the element's writing direction)
  * @param {number} props.distance - Slide distance in pixels
  * @param {boolean} props.fade - Whether to fade in while sliding
  * @param {boolean} props.bounce - Whether to add a bounce effect at the end
  * @param {string} props.trigger - Animation trigger type ('scroll', 'load', 'none', 'hover', 'click')
  * @param {number} props.threshold - Viewport threshold to trigger animation (0-1)
+ * @param {boolean} props.once - Only play the scroll animation the first time it enters
+ * @param {boolean} props.reverseOnLeave - Reverse when scrolling back above the start, and play again on the way down
+ * @param {string} props.toggleActions - ScrollTrigger toggle actions (defaults to 'play none none none', or 'play none none reverse' with reverseOnLeave)
+ * @param {boolean|number} props.scrub - Link the animation to the scroll position (true) or smooth it over this many seconds
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
  * @param {function} props.onStart - Callback when animation starts
  * @param {function} props.onComplete - Callback when animation completes
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
+ * @param {Object|function} props.exit - Exit animation used when removed inside AnimatePresence
+ * @param {Object} props.variants - Named animation states; replaces the direction-based animation when set
+ * @param {string|boolean} props.initial - Variant applied on mount (inherited from a parent with variants)
+ * @param {string} props.animate - Variant to animate to (inherited from a parent with variants)
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  */
 const SlideIn = ({
   children,
-  duration = 0.8,
-  delay = 0,
+  duration,
+  delay,
   ease,
   direction = 'up',
   distance = 100,
@@ -34,25 +51,65 @@ const SlideIn = ({
   bounce = false,
   trigger = 'scroll',
   threshold = 0.2,
+  once = false,
+  reverseOnLeave = false,
+  toggleActions,
+  scrub = false,
+  scroller,
   onStart = () => {},
   onComplete = () => {},
   className = '',
   style = {},
+  exit,
+  variants,
+  initial,
+  animate,
+  reducedMotion,
   ...otherProps
 }) => {
   const elementRef = useRef(null);
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
   
   // Set default ease based on bounce effect
   if (!ease) {
-    ease = bounce ? "back.out(1.7)" : "power3.out";
+    ease = bounce && !shouldReduceMotion ? "back.out(1.7)" : defaultEase;
   }
   
+  // Fall back to the nearest AnimationProvider's defaults
+  if (duration === undefined) duration = getEaseDuration(ease, defaultDuration);
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Plays once on enter unless told to reverse or follow the scroll
+  if (toggleActions === undefined) toggleActions = reverseOnLeave ? 'play none none reverse' : 'play none none none';
+  
+  // Label-driven animation through variants
+  const variantContext = useVariants(elementRef, {
+    variants,
+    initial,
+    animate,
+    transition: { duration, delay, ease },
+    reducedMotion,
+    onAnimationComplete: onComplete
+  });
+  
   // Get direction-based animation properties
   const getDirectionalProps = () => {
     const baseProps = fade ? { opacity: 0 } : {};
     
-    switch (direction) {
+    // Crossfade instead of sliding for users who prefer reduced motion
+    if (shouldReduceMotion) return { opacity: 0 };
+    
+    // 'start' and 'end' follow the element's writing direction
+    switch (resolveDirection(direction, isRTL(elementRef.current))) {
       case 'up':
         return { ...baseProps, y: distance };
       case 'down':
@@ -66,9 +123,26 @@ const SlideIn = ({
     }
   };
   
+  // Inside a ScrollTriggeredTimeline, become a segment of its scrubbed timeline instead
+  const inTimeline = useTimelineSegment(elementRef, () => {
+    if (!elementRef.current || variants || disableAllAnimations || disableScrollAnimations) return null;
+    
+    return gsap.from(elementRef.current, {
+      ...getDirectionalProps(),
+      duration,
+      ease,
+      onStart,
+      onComplete,
+      paused: true
+    });
+  });
+  
   // Use GSAP React hook
-  const { contextSafe } = useGSAP(() => {
-    if (!elementRef.current) return;
+  const { contextSafe } = useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    if (!elementRef.current || variants || inTimeline) return;
     
     // Skip if animations disabled
     if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
@@ -97,8 +171,12 @@ const SlideIn = ({
       if (trigger === 'scroll' && !disableScrollAnimations) {
         ScrollTrigger.create({
           trigger: elementRef.current,
+          scroller: resolveScroller(scroller, elementRef.current),
           start: `top bottom-=${threshold * 100}%`,
-          onEnter: () => tween.play()
+          animation: tween,
+          // Scrubbing runs until the element's center reaches the middle of the viewport
+          ...(scrub ? { end: 'center center', scrub } : { toggleActions }),
+          once
         });
       } else if (trigger === 'load') {
         // Play immediately for load trigger
@@ -114,26 +192,30 @@ const SlideIn = ({
           .forEach(st => st.kill());
       }
     };
-  }, { 
-    scope: elementRef,
-    dependencies: [
-      direction, 
-      distance,
-      duration, 
-      delay, 
-      ease, 
-      trigger, 
-      threshold,
-      fade,
-      bounce,
-      disableAllAnimations, 
-      disableScrollAnimations
-    ]
-  });
+  }, [
+    direction, 
+    distance,
+    duration, 
+    delay, 
+    ease, 
+    trigger, 
+    threshold,
+    once,
+    toggleActions,
+    scrub,
+    scroller,
+    fade,
+    bounce,
+    disableAllAnimations, 
+    disableScrollAnimations,
+    shouldReduceMotion,
+    !!variants,
+    inTimeline
+  ], elementRef);
   
   // Play animation function for manual triggers
   const playAnimation = contextSafe(() => {
-    if (disableAllAnimations) return;
+    if (disableAllAnimations || variants) return;
     
     const fromProps = getDirectionalProps();
     
@@ -141,7 +223,7 @@ const SlideIn = ({
       elementRef.current,
       fromProps,
       {
-        opacity: fade ? 1 : undefined,
+        opacity: fade || shouldReduceMotion ? 1 : undefined,
         x: 0,
         y: 0,
         duration,
@@ -183,12 +265,17 @@ const SlideIn = ({
     ...otherProps
   };
   
+  const content = typeof children === 'function' 
+    ? children({ play: playAnimation }) 
+    : children;
+  
   return (
     <div {...componentProps}>
-      {typeof children === 'function' 
-        ? children({ play: playAnimation }) 
-        : children
-      }
+      {variantContext ? (
+        <VariantContext.Provider value={variantContext}>
+          {content}
+        </VariantContext.Provider>
+      ) : content}
     </div>
   );
 };
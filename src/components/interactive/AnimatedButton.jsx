@@ -2,6 +2,7 @@ import React, { useRef } from 'react';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
 
 /**
  * AnimatedButton component with various interaction effects using GSAP
@@ -16,6 +17,7 @@ import { useAnimationSettings } from '../../context/AnimationContext';
  * @param {boolean} props.asChild - Whether to apply props to children instead of creating a button
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  */
 const AnimatedButton = ({
   children,
@@ -27,14 +29,18 @@ const AnimatedButton = ({
   className = '',
   style = {},
   asChild = false,
+  reducedMotion,
   ...otherProps
 }) => {
   const buttonRef = useRef(null);
   const effectRef = useRef(null);
-  const { disableAllAnimations } = useAnimationSettings();
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
   
   // Initialize GSAP context and get contextSafe function
-  const { contextSafe } = useGSAP(() => {
+  const { contextSafe } = useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
     if (disableAllAnimations) return;
     
     // Create effect element for certain effects
@@ -82,10 +88,7 @@ const AnimatedButton = ({
         }
       }
     };
-  }, { 
-    scope: buttonRef,
-    dependencies: [effect, effectColor, disableAllAnimations] 
-  });
+  }, [effect, effectColor, disableAllAnimations], buttonRef);
   
   // Ripple effect animation
   const createRippleEffect = contextSafe((e) => {
@@ -111,7 +114,8 @@ const AnimatedButton = ({
       scale: 1,
       opacity: 0,
       duration,
-      ease
+      ease,
+      overwrite: 'auto'
     });
   });
   
@@ -125,6 +129,7 @@ const AnimatedButton = ({
         left: '100%', 
         duration, 
         ease,
+        overwrite: 'auto',
         onComplete: () => {
           gsap.set(effectRef.current, { left: '-100%' });
         }
@@ -132,37 +137,41 @@ const AnimatedButton = ({
     );
   });
   
-  // Pulse effect animation
+  // Pulse effect animation (skipped for users who prefer reduced motion)
   const createPulseEffect = contextSafe(() => {
-    if (disableAllAnimations || !buttonRef.current) return;
+    if (disableAllAnimations || shouldReduceMotion || !buttonRef.current) return;
     
     gsap.to(buttonRef.current, {
       scale: 1.05,
       duration: duration / 2,
       ease: 'power1.out',
+      overwrite: 'auto',
       onComplete: () => {
         gsap.to(buttonRef.current, {
           scale: 1,
           duration: duration / 2,
-          ease: 'power1.in'
+          ease: 'power1.in',
+          overwrite: 'auto'
         });
       }
     });
   });
   
-  // Scale effect animation
+  // Scale effect animation (skipped for users who prefer reduced motion)
   const createScaleEffect = contextSafe(() => {
-    if (disableAllAnimations || !buttonRef.current) return;
+    if (disableAllAnimations || shouldReduceMotion || !buttonRef.current) return;
     
     gsap.to(buttonRef.current, {
       scale: 0.95,
       duration: duration / 3,
       ease: 'power2.out',
+      overwrite: 'auto',
       onComplete: () => {
         gsap.to(buttonRef.current, {
           scale: 1,
           duration: duration / 2,
-          ease: 'elastic.out(1, 0.3)'
+          ease: 'elastic.out(1, 0.3)',
+          overwrite: 'auto'
         });
       }
     });
@@ -178,11 +187,13 @@ const AnimatedButton = ({
       backgroundColor: effectColor,
       duration,
       ease,
+      overwrite: 'auto',
       onComplete: () => {
         gsap.to(buttonRef.current, {
           backgroundColor: originalBg,
           duration,
-          ease
+          ease,
+          overwrite: 'auto'
         });
       }
     });
@@ -0,0 +1,78 @@
+import React, { useRef } from 'react';
+import { useDraggable } from '../../utils/useDraggable';
+
+/**
+ * Draggable component that follows the pointer and can be thrown
+ * Works with mouse, touch and pen input. Pass a function as children to
+ * render based on the drag state.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode|function} props.children - Child elements, or a function receiving { isDragging, moveTo }
+ * @param {string} props.axis - Axis to drag along ('x', 'y', 'both')
+ * @param {boolean} props.lockAxis - Lock to the direction of the first movement of each drag
+ * @param {React.RefObject|Object} props.bounds - Element to stay inside, or a rect of offsets ({ left, right, top, bottom })
+ * @param {boolean} props.inertia - Keep moving with the release velocity
+ * @param {number[]|Object[]|function} props.snap - Values snapped per axis, points ({ x, y }), or a function returning a point
+ * @param {string} props.ease - GSAP easing function for the release animation
+ * @param {boolean} props.disabled - Ignore pointer input
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {function} props.onDragStart - Callback with drag info ({ x, y, velocityX, velocityY }) when a drag starts
+ * @param {function} props.onDrag - Callback with drag info on every move
+ * @param {function} props.onDragEnd - Callback with drag info on release
+ * @param {function} props.onDragSettle - Callback with drag info once the element comes to rest
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ */
+const Draggable = ({
+  children,
+  axis = 'both',
+  lockAxis = false,
+  bounds,
+  inertia = true,
+  snap,
+  ease = "power3.out",
+  disabled = false,
+  reducedMotion,
+  onDragStart,
+  onDrag,
+  onDragEnd,
+  onDragSettle,
+  className = '',
+  style = {},
+  ...otherProps
+}) => {
+  const elementRef = useRef(null);
+  
+  const { isDragging, moveTo } = useDraggable(elementRef, {
+    axis,
+    lockAxis,
+    bounds,
+    inertia,
+    snap,
+    ease,
+    disabled,
+    reducedMotion,
+    onDragStart,
+    onDrag,
+    onDragEnd,
+    onDragSettle
+  });
+  
+  return (
+    <div
+      ref={elementRef}
+      className={`react-gsap-draggable ${className}`}
+      style={{
+        cursor: disabled ? undefined : (isDragging ? 'grabbing' : 'grab'),
+        userSelect: isDragging ? 'none' : undefined,
+        ...style
+      }}
+      data-dragging={isDragging}
+      {...otherProps}
+    >
+      {typeof children === 'function' ? children({ isDragging, moveTo }) : children}
+    </div>
+  );
+};
+
+export default Draggable;
@@ -0,0 +1,199 @@
+import React, { useRef, useState, useMemo } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import { useAnimationSettings } from '../../context/AnimationContext';
+import HorizontalScrollContext from '../../context/HorizontalScrollContext';
+import { createMotionValue, useMotionValue } from '../../utils/motionValue';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+
+/**
+ * HorizontalScroll component that pins its container and moves a row of panels
+ * sideways as the page scrolls down
+ * The scroll distance follows the width of the content and is recalculated on
+ * resize. Each child becomes a panel; panels can read their own progress and
+ * the horizontal tween (for `containerAnimation`) with useHorizontalScroll.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Panels, laid out in a row
+ * @param {boolean|number} props.scrub - Link to the scrollbar (true) or smooth over this many seconds
+ * @param {string} props.start - ScrollTrigger start position
+ * @param {boolean} props.snap - Settle on the nearest panel after scrolling stops
+ * @param {number} props.anticipatePin - Pin slightly early to avoid a jump on fast scrolls
+ * @param {string} props.height - Height of the pinned container
+ * @param {string} props.panelWidth - Width of each panel
+ * @param {boolean} props.markers - Show ScrollTrigger markers (debug)
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @param {function} props.onUpdate - Callback with the ScrollTrigger on every update
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ */
+const HorizontalScroll = ({
+  children,
+  scrub = 1,
+  start = "top top",
+  snap = false,
+  anticipatePin = 1,
+  height = '100vh',
+  panelWidth = '100vw',
+  markers = false,
+  scroller,
+  onUpdate,
+  reducedMotion,
+  className = '',
+  style = {},
+  ...otherProps
+}) => {
+  const containerRef = useRef(null);
+  const trackRef = useRef(null);
+  const [containerAnimation, setContainerAnimation] = useState(null);
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    shouldReduceMotion,
+    scroller: defaultScroller
+  } = useAnimationSettings(reducedMotion);
+  
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Without scroll animations the row simply scrolls sideways
+  const isStatic = disableAllAnimations || disableScrollAnimations;
+  
+  const panels = React.Children.toArray(children);
+  
+  // Progress of the whole row and of each panel, updated without re-rendering
+  const progress = useMotionValue(0);
+  const panelProgressRef = useRef([]);
+  
+  while (panelProgressRef.current.length < panels.length) {
+    panelProgressRef.current.push(createMotionValue(0));
+  }
+  
+  const onUpdateRef = useRef(onUpdate);
+  onUpdateRef.current = onUpdate;
+  
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    const container = containerRef.current;
+    const track = trackRef.current;
+    if (!container || !track || isStatic) return;
+    
+    const getDistance = () => Math.max(track.scrollWidth - container.clientWidth, 0);
+    
+    // Snap to the scroll position where each panel reaches the left edge
+    const snapToPanel = (value) => {
+      const distance = getDistance();
+      if (distance === 0) return value;
+      
+      return Array.from(track.children)
+        .map(panel => Math.min(panel.offsetLeft / distance, 1))
+        .reduce((closest, point) => (Math.abs(point - value) < Math.abs(closest - value) ? point : closest), 0);
+    };
+    
+    // Reduced motion follows the scrollbar directly, without smoothing or snapping
+    const tween = gsap.to(track, {
+      x: () => -getDistance(),
+      ease: "none",
+      scrollTrigger: {
+        trigger: container,
+        scroller: resolveScroller(scroller, container),
+        start,
+        end: () => `+=${getDistance()}`,
+        pin: true,
+        scrub: shouldReduceMotion ? true : scrub,
+        snap: snap && !shouldReduceMotion ? {
+          snapTo: snapToPanel,
+          duration: { min: 0.2, max: 0.6 },
+          ease: "power1.inOut"
+        } : false,
+        anticipatePin,
+        markers,
+        invalidateOnRefresh: true,
+        onUpdate: (self) => {
+          progress.set(self.progress);
+          if (onUpdateRef.current) onUpdateRef.current(self);
+        }
+      }
+    });
+    
+    // Each panel goes from 0 as it enters on the right to 1 as it leaves on the left
+    Array.from(track.children).forEach((panel, index) => {
+      ScrollTrigger.create({
+        trigger: panel,
+        scroller: resolveScroller(scroller, container),
+        containerAnimation: tween,
+        start: "left right",
+        end: "right left",
+        onUpdate: (self) => panelProgressRef.current[index].set(self.progress)
+      });
+    });
+    
+    setContainerAnimation(tween);
+    
+    return () => {
+      setContainerAnimation(null);
+    };
+  }, [
+    panels.length,
+    scrub,
+    start,
+    snap,
+    anticipatePin,
+    markers,
+    scroller,
+    isStatic,
+    shouldReduceMotion
+  ], containerRef);
+  
+  const panelContexts = useMemo(() => panels.map((panel, index) => ({
+    containerAnimation,
+    progress,
+    panelIndex: index,
+    panelProgress: panelProgressRef.current[index]
+  })), [containerAnimation, panels.length]);
+  
+  const containerStyle = {
+    height,
+    overflowX: isStatic ? 'auto' : 'hidden',
+    overflowY: 'hidden',
+    ...style
+  };
+  
+  const trackStyle = {
+    display: 'flex',
+    flexWrap: 'nowrap',
+    width: 'max-content',
+    height: '100%'
+  };
+  
+  const panelStyle = {
+    flex: '0 0 auto',
+    width: panelWidth,
+    height: '100%'
+  };
+  
+  return (
+    <div
+      ref={containerRef}
+      className={`react-gsap-horizontal-scroll ${className}`}
+      style={containerStyle}
+      {...otherProps}
+    >
+      <div ref={trackRef} className="react-gsap-horizontal-track" style={trackStyle}>
+        {panels.map((panel, index) => (
+          <div key={panel.key} className="react-gsap-horizontal-panel" style={panelStyle}>
+            <HorizontalScrollContext.Provider value={panelContexts[index]}>
+              {panel}
+            </HorizontalScrollContext.Provider>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HorizontalScroll;
@@ -0,0 +1,47 @@
+import React, { useRef, useContext, useMemo, useEffect, useLayoutEffect } from 'react';
+import LayoutGroupContext, { createLayoutStore, LayoutSnapshot } from '../../context/LayoutGroupContext';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * LayoutGroup component for coordinating layout animations
+ * Every layout-animated descendant is measured whenever the group or any member
+ * re-renders, so elements that are pushed around by a sibling animate as well.
+ * Nested groups share their parent's measurements and prefix layoutIds with their id.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child elements
+ * @param {string} props.id - Namespace for layoutId values inside this group
+ */
+const LayoutGroup = ({ children, id }) => {
+  const parent = useContext(LayoutGroupContext);
+  const storeRef = useRef(null);
+  
+  if (!storeRef.current) {
+    storeRef.current = parent ? parent.store : createLayoutStore();
+  }
+  
+  // Animate members that moved, even if they didn't re-render themselves
+  useIsomorphicLayoutEffect(() => {
+    storeRef.current.flush();
+  });
+  
+  const parentId = parent ? parent.id : undefined;
+  const groupId = parentId && id ? `${parentId}-${id}` : (id || parentId);
+  
+  const contextValue = useMemo(() => ({
+    store: storeRef.current,
+    id: groupId
+  }), [groupId]);
+  
+  return (
+    <LayoutGroupContext.Provider value={contextValue}>
+      {/* Measure every member before React applies this render to the DOM */}
+      <LayoutSnapshot store={storeRef.current} />
+      {children}
+    </LayoutGroupContext.Provider>
+  );
+};
+
+export default LayoutGroup;
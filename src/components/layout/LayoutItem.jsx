@@ -0,0 +1,58 @@
+import React, { useRef } from 'react';
+import { useLayoutAnimation } from '../../utils/useLayoutAnimation';
+
+/**
+ * LayoutItem component that animates smoothly whenever its position or size changes
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child elements
+ * @param {boolean|string} props.layout - Animate layout changes (true, 'position' to skip size)
+ * @param {string} props.layoutId - Shared id for animating between two different elements
+ * @param {number} props.duration - Animation duration in seconds
+ * @param {string} props.ease - GSAP easing function
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {function} props.onLayoutAnimationStart - Callback when a layout animation starts
+ * @param {function} props.onLayoutAnimationComplete - Callback when a layout animation completes
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ */
+const LayoutItem = ({
+  children,
+  layout = true,
+  layoutId,
+  duration = 0.5,
+  ease = "power3.out",
+  reducedMotion,
+  onLayoutAnimationStart,
+  onLayoutAnimationComplete,
+  className = '',
+  style = {},
+  ...otherProps
+}) => {
+  const elementRef = useRef(null);
+  
+  const { snapshot } = useLayoutAnimation(elementRef, {
+    layout,
+    layoutId,
+    duration,
+    ease,
+    reducedMotion,
+    onLayoutAnimationStart,
+    onLayoutAnimationComplete
+  });
+  
+  return (
+    <div
+      ref={elementRef}
+      className={`react-gsap-layout ${className}`}
+      style={style}
+      data-layout-id={layoutId}
+      {...otherProps}
+    >
+      {children}
+      {snapshot}
+    </div>
+  );
+};
+
+export default LayoutItem;
@@ -0,0 +1,284 @@
+import React, { useRef, useState, useEffect, useMemo, useCallback, forwardRef, useImperativeHandle } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import ScrollToPlugin from 'gsap/ScrollToPlugin';
+import { useAnimationSettings } from '../../context/AnimationContext';
+import ScrollSectionsContext from '../../context/ScrollSectionsContext';
+import ScrollProgress from '../ScrollProgress.jsx';
+import { playback } from '../../utils/playback';
+import { getScrollerElement } from '../../utils/scroller';
+
+// Make sure GSAP plugins are registered
+if (typeof window !== 'undefined') {
+  try {
+    gsap.registerPlugin(ScrollTrigger, ScrollToPlugin);
+  } catch (error) {
+    console.warn('Failed to register ScrollToPlugin:', error.message);
+  }
+}
+
+const NEXT_KEYS = ['PageDown', 'ArrowDown'];
+const PREVIOUS_KEYS = ['PageUp', 'ArrowUp'];
+
+// Leave keys alone while the user is typing
+const isEditable = (element) => {
+  if (!element || !element.tagName) return false;
+  return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+};
+
+/**
+ * ScrollSections component that turns its children into full-page sections
+ * The page settles on the nearest section when scrolling stops, PageUp/PageDown
+ * and the arrow keys move one section at a time, and `navigation` adds
+ * ScrollProgress dots that jump to a section when clicked. Sections can read
+ * and change the active section with useScrollSections, and a ref exposes
+ * { goTo, next, previous, activeIndex }.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Sections, stacked vertically
+ * @param {boolean} props.snap - Settle on the nearest section after scrolling stops
+ * @param {boolean} props.keyboard - Move between sections with PageUp/PageDown and the arrow keys
+ * @param {boolean|Object} props.navigation - Show ScrollProgress dots, or props for them (position, color, size, ...)
+ * @param {number} props.duration - Duration of the scroll to a section in seconds
+ * @param {string} props.ease - GSAP easing function for the scroll to a section
+ * @param {string} props.sectionHeight - Minimum height of each section
+ * @param {boolean} props.markers - Show ScrollTrigger markers (debug)
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @param {function} props.onChange - Callback with the index of the section that became active
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ */
+const ScrollSections = forwardRef(({
+  children,
+  snap = true,
+  keyboard = true,
+  navigation = false,
+  duration = 0.8,
+  ease = "power2.inOut",
+  sectionHeight = '100vh',
+  markers = false,
+  scroller,
+  onChange,
+  reducedMotion,
+  className = '',
+  style = {},
+  ...otherProps
+}, ref) => {
+  const containerRef = useRef(null);
+  const sectionsRef = useRef([]);
+  const scrollerRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    shouldReduceMotion,
+    scroller: defaultScroller
+  } = useAnimationSettings(reducedMotion);
+  
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Without scroll animations the sections scroll freely and jumps are instant
+  const isStatic = disableAllAnimations || disableScrollAnimations;
+  
+  const sections = React.Children.toArray(children);
+  
+  // goTo reads the latest options without changing identity
+  const optionsRef = useRef(null);
+  optionsRef.current = {
+    duration,
+    ease,
+    instant: isStatic || shouldReduceMotion,
+    onChange
+  };
+  
+  // The index being scrolled to, so repeated key presses keep moving forward
+  const activeIndexRef = useRef(0);
+  const targetIndexRef = useRef(null);
+  const scrollTweenRef = useRef(null);
+  
+  const goTo = useCallback((index) => {
+    const elements = sectionsRef.current;
+    if (elements.length === 0) return;
+    
+    const targetIndex = gsap.utils.clamp(0, elements.length - 1, index);
+    const { duration, ease, instant } = optionsRef.current;
+    
+    if (scrollTweenRef.current) scrollTweenRef.current.kill();
+    
+    if (instant) {
+      gsap.set(scrollerRef.current || window, { scrollTo: { y: elements[targetIndex] } });
+      return;
+    }
+    
+    targetIndexRef.current = targetIndex;
+    
+    // Stop when the user scrolls themselves
+    scrollTweenRef.current = gsap.to(scrollerRef.current || window, {
+      scrollTo: { y: elements[targetIndex], autoKill: true },
+      duration,
+      ease,
+      onComplete: () => { targetIndexRef.current = null; },
+      onInterrupt: () => { targetIndexRef.current = null; }
+    });
+  }, []);
+  
+  const getCurrentIndex = () => (targetIndexRef.current !== null ? targetIndexRef.current : activeIndexRef.current);
+  const next = useCallback(() => goTo(getCurrentIndex() + 1), [goTo]);
+  const previous = useCallback(() => goTo(getCurrentIndex() - 1), [goTo]);
+  
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    const container = containerRef.current;
+    if (!container) return;
+    
+    const elements = Array.from(container.children).filter(child => child.classList.contains('react-gsap-section'));
+    sectionsRef.current = elements;
+    
+    const scrollerElement = getScrollerElement(scroller, container);
+    scrollerRef.current = scrollerElement || null;
+    
+    // A section is active while it covers the middle of the viewport
+    elements.forEach((section, index) => {
+      ScrollTrigger.create({
+        trigger: section,
+        scroller: scrollerElement,
+        start: "top center",
+        end: "bottom center",
+        markers,
+        onToggle: (self) => {
+          if (!self.isActive || activeIndexRef.current === index) return;
+          
+          activeIndexRef.current = index;
+          setActiveIndex(index);
+          if (optionsRef.current.onChange) optionsRef.current.onChange(index);
+        }
+      });
+    });
+    
+    if (!snap || isStatic || shouldReduceMotion) return;
+    
+    // Snap to the scroll position where each section reaches the top
+    const snapTrigger = ScrollTrigger.create({
+      trigger: container,
+      scroller: scrollerElement,
+      start: "top top",
+      end: "bottom bottom",
+      snap: {
+        snapTo: (value) => {
+          const distance = snapTrigger.end - snapTrigger.start;
+          if (distance <= 0) return value;
+          
+          const containerTop = container.getBoundingClientRect().top;
+          
+          return elements
+            .map(section => Math.min((section.getBoundingClientRect().top - containerTop) / distance, 1))
+            .reduce((closest, point) => (Math.abs(point - value) < Math.abs(closest - value) ? point : closest), 0);
+        },
+        duration: { min: 0.2, max: duration },
+        ease
+      }
+    });
+  }, [
+    sections.length,
+    snap,
+    duration,
+    ease,
+    markers,
+    scroller,
+    isStatic,
+    shouldReduceMotion
+  ], containerRef);
+  
+  // Stop a scroll in progress on unmount
+  useEffect(() => {
+    return () => {
+      if (scrollTweenRef.current) scrollTweenRef.current.kill();
+    };
+  }, []);
+  
+  useEffect(() => {
+    if (!keyboard) return;
+    
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      if (isEditable(event.target)) return;
+      
+      const step = NEXT_KEYS.includes(event.key) ? 1 : PREVIOUS_KEYS.includes(event.key) ? -1 : 0;
+      if (step === 0) return;
+      
+      // Only while the sections fill the viewport (or the scroller)
+      const container = containerRef.current;
+      if (!container) return;
+      
+      const rect = container.getBoundingClientRect();
+      const bounds = scrollerRef.current ? scrollerRef.current.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+      const middle = (bounds.top + bounds.bottom) / 2;
+      if (rect.top > middle || rect.bottom < middle) return;
+      
+      // Past the first or last section the page scrolls as usual
+      const targetIndex = getCurrentIndex() + step;
+      if (targetIndex < 0 || targetIndex >= sectionsRef.current.length) return;
+      
+      event.preventDefault();
+      goTo(targetIndex);
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [keyboard, goTo]);
+  
+  useImperativeHandle(ref, () => ({
+    goTo,
+    next,
+    previous,
+    activeIndex
+  }), [goTo, next, previous, activeIndex]);
+  
+  const contextValue = useMemo(() => ({
+    activeIndex,
+    count: sections.length,
+    goTo,
+    next,
+    previous
+  }), [activeIndex, sections.length, goTo, next, previous]);
+  
+  const sectionStyle = {
+    position: 'relative',
+    minHeight: sectionHeight
+  };
+  
+  return (
+    <ScrollSectionsContext.Provider value={contextValue}>
+      <div
+        ref={containerRef}
+        className={`react-gsap-scroll-sections ${className}`}
+        style={style}
+        {...otherProps}
+      >
+        {sections.map(section => (
+          <div key={section.key} className="react-gsap-section" style={sectionStyle}>
+            {section}
+          </div>
+        ))}
+        {navigation && (
+          <ScrollProgress
+            type="dots"
+            position="right"
+            {...(typeof navigation === 'object' ? navigation : {})}
+          />
+        )}
+      </div>
+    </ScrollSectionsContext.Provider>
+  );
+});
+
+ScrollSections.displayName = 'ScrollSections';
+
+export default ScrollSections;
@@ -0,0 +1,246 @@
+import React, { useRef, useEffect, useLayoutEffect } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+// Scroll state of the SmoothScroll currently smoothing the page
+let activeScroll = null;
+
+// ScrollTrigger has no public way to drop a scroller proxy, so one proxy stays
+// registered for the page and follows the native scroll position whenever no
+// SmoothScroll is active
+const pageProxy = {
+  scrollTop(value) {
+    const state = activeScroll && activeScroll.active ? activeScroll : null;
+    
+    if (arguments.length) {
+      if (state) {
+        state.current = value;
+        gsap.set(state.content, { y: -value });
+      }
+      
+      window.scrollTo(0, value);
+      return;
+    }
+    
+    return state ? state.current : window.pageYOffset;
+  },
+  getBoundingClientRect() {
+    return { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+  },
+  // Read when a ScrollTrigger is created, so only pins inside SmoothScroll use transforms
+  get pinType() {
+    return activeScroll ? 'transform' : 'fixed';
+  }
+};
+
+let isProxyRegistered = false;
+
+// Rendered before the content so the page is marked as smoothed before any
+// descendant creates a ScrollTrigger (layout effects run in tree order)
+const ScrollerProxy = ({ state, enabled }) => {
+  useIsomorphicLayoutEffect(() => {
+    if (!enabled) return;
+    
+    if (!isProxyRegistered) {
+      ScrollTrigger.scrollerProxy(document.documentElement, pageProxy);
+      isProxyRegistered = true;
+    }
+    
+    activeScroll = state;
+    
+    return () => {
+      if (activeScroll === state) activeScroll = null;
+    };
+  }, [state, enabled]);
+  
+  return null;
+};
+
+/**
+ * SmoothScroll component that eases the page's scroll position
+ * The native scrollbar, keyboard and touch scrolling keep working; the content
+ * follows them with a lerp. It registers itself as ScrollTrigger's scroller
+ * proxy for the page, so scroll-driven components inside it work unchanged.
+ * Same-page anchor links scroll smoothly to their target. Reduced motion and
+ * touch devices (unless `smoothTouch` is set) keep native scrolling.
+ *
+ * Wrap the whole page with it once. Fixed-position elements should be placed
+ * outside it, as the transformed content becomes their containing block.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Page content
+ * @param {number} props.lerp - Fraction of the remaining distance covered per frame (0-1, lower is smoother)
+ * @param {boolean} props.smoothTouch - Also smooth scrolling on touch devices
+ * @param {boolean} props.anchors - Scroll smoothly to the target of same-page anchor links
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ */
+const SmoothScroll = ({
+  children,
+  lerp = 0.1,
+  smoothTouch = false,
+  anchors = true,
+  reducedMotion,
+  className = '',
+  style = {},
+  ...otherProps
+}) => {
+  const wrapperRef = useRef(null);
+  const contentRef = useRef(null);
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  const isCoarsePointer = typeof window !== 'undefined' && !!window.matchMedia &&
+    window.matchMedia('(pointer: coarse)').matches;
+  
+  const isSmooth = !disableAllAnimations && !disableScrollAnimations && !shouldReduceMotion &&
+    (smoothTouch || !isCoarsePointer);
+  
+  // The eased scroll position, shared by the page proxy and the frame loop
+  const scrollRef = useRef({ current: 0, active: false, content: null });
+  
+  useGSAP(() => {
+    const wrapper = wrapperRef.current;
+    const content = contentRef.current;
+    if (!wrapper || !content || !isSmooth) return;
+    
+    const state = scrollRef.current;
+    state.current = window.pageYOffset;
+    state.content = content;
+    state.active = true;
+    
+    // The content stays in view while the body keeps its height, so the page
+    // still scrolls natively and the native position becomes the target
+    gsap.set(wrapper, {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      overflow: 'hidden'
+    });
+    gsap.set(content, { y: -state.current });
+    
+    const setY = gsap.quickSetter(content, 'y', 'px');
+    
+    let contentHeight = content.offsetHeight;
+    gsap.set(document.body, { height: contentHeight });
+    
+    // Content that grows or shrinks (images, pin spacing) changes the scroll range
+    let resizeObserver = null;
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(() => {
+        if (content.offsetHeight === contentHeight) return;
+        
+        contentHeight = content.offsetHeight;
+        gsap.set(document.body, { height: contentHeight });
+        ScrollTrigger.refresh();
+      });
+      resizeObserver.observe(content);
+    }
+    
+    // Keep following the scrollbar even while playback is paused; lerp is per 60fps frame
+    const removeLoop = playback.addLoop((deltaTime) => {
+      const target = window.pageYOffset;
+      if (state.current === target) return;
+      
+      state.current += (target - state.current) * (1 - Math.pow(1 - lerp, deltaTime / (1000 / 60)));
+      
+      if (Math.abs(target - state.current) < 0.5) {
+        state.current = target;
+      }
+      
+      setY(-state.current);
+      ScrollTrigger.update();
+    }, { pausable: false });
+    
+    // Position of an element in the untransformed content
+    const scrollToElement = (element) => {
+      window.scrollTo(0, element ? element.getBoundingClientRect().top + state.current : 0);
+    };
+    
+    const getHashTarget = (hash) => {
+      if (!hash || hash === '#') return null;
+      
+      try {
+        return document.getElementById(decodeURIComponent(hash.slice(1)));
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    const handleClick = (event) => {
+      if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+      
+      const link = event.target.closest ? event.target.closest('a[href^="#"]') : null;
+      if (!link) return;
+      
+      // '#' scrolls to the top; unknown ids are left to the browser
+      const hash = link.getAttribute('href');
+      const target = getHashTarget(hash);
+      if (hash !== '#' && !target) return;
+      
+      event.preventDefault();
+      scrollToElement(target);
+      
+      if (window.history && window.history.pushState) {
+        window.history.pushState(null, '', hash);
+      }
+    };
+    
+    // Back and forward between anchors
+    const handleHashChange = () => {
+      const target = getHashTarget(window.location.hash);
+      if (target) scrollToElement(target);
+    };
+    
+    if (anchors) {
+      content.addEventListener('click', handleClick);
+      window.addEventListener('hashchange', handleHashChange);
+    }
+    
+    // Measure triggers against the new layout
+    ScrollTrigger.refresh();
+    
+    // Runs after the context has restored the wrapper and body styles
+    return () => {
+      state.active = false;
+      removeLoop();
+      
+      if (resizeObserver) resizeObserver.disconnect();
+      
+      content.removeEventListener('click', handleClick);
+      window.removeEventListener('hashchange', handleHashChange);
+      
+      window.scrollTo(0, state.current);
+      ScrollTrigger.refresh();
+    };
+  }, [isSmooth, lerp, anchors], wrapperRef);
+  
+  return (
+    <div
+      ref={wrapperRef}
+      className={`react-gsap-smooth-scroll ${className}`}
+      style={style}
+      {...otherProps}
+    >
+      <div ref={contentRef} className="react-gsap-smooth-content">
+        <ScrollerProxy state={scrollRef.current} enabled={isSmooth} />
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default SmoothScroll;
@@ -0,0 +1,279 @@
+import React, { useRef, forwardRef, useImperativeHandle } from 'react';
+import { useGSAP } from '@gsap/react';
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+import { useTimelineSegment } from '../../context/TimelineContext';
+import { splitGraphemes, visuallyHiddenStyle } from '../../utils/text';
+
+// Named character sets for the `characters` prop
+const CHARACTER_SETS = {
+  upperCase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lowerCase: 'abcdefghijklmnopqrstuvwxyz',
+  upperAndLowerCase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  numbers: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}<>?/|~',
+  binary: '01'
+};
+
+// Pick the same glyph for a character at the same step, so scrubbing back and
+// forth shows the same sequence
+const pickGlyph = (glyphs, index, step, seed) => {
+  const hash = Math.imul(index + 1, 2654435761) ^ Math.imul(step + seed, 40503);
+  return glyphs[Math.abs(hash) % glyphs.length];
+};
+
+/**
+ * ScrambleText component that decodes text from cycling random glyphs
+ * Every character shows random glyphs from `characters` until its turn to
+ * resolve comes, in reading order, reverse or random order. Whitespace is
+ * kept in place, and the final text reserves its space so the layout does not
+ * shift. Use a ref to call `play()` for the 'none' trigger.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to resolve to
+ * @param {string} props.characters - Glyphs to cycle through, or a named set ('upperCase', 'lowerCase', 'upperAndLowerCase', 'numbers', 'symbols', 'binary')
+ * @param {string} props.revealOrder - Order the characters resolve in ('start', 'end', 'random')
+ * @param {number} props.duration - Time until the last character resolves, in seconds
+ * @param {number} props.speed - Glyph changes per second while a character is scrambled
+ * @param {number} props.delay - Animation delay in seconds (defaults to the provider's defaultDelay)
+ * @param {string|function} props.ease - GSAP easing function for the progress of the reveal
+ * @param {string} props.trigger - Animation trigger type ('scroll', 'load', 'hover', 'click', 'none')
+ * @param {number} props.threshold - Viewport threshold to trigger animation (0-1)
+ * @param {boolean} props.once - Only play the scroll animation the first time it enters
+ * @param {boolean} props.reverseOnLeave - Scramble again when scrolling back above the start, and decode on the way down
+ * @param {string} props.toggleActions - ScrollTrigger toggle actions (defaults to 'play none none none', or 'play none none reverse' with reverseOnLeave)
+ * @param {boolean|number} props.scrub - Link the decoding to the scroll position (true) or smooth it over this many seconds
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @param {function} props.onStart - Callback when animation starts
+ * @param {function} props.onComplete - Callback when animation completes
+ * @param {string} props.className - Additional CSS class names
+ * @param {Object} props.style - Custom styles
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ */
+const ScrambleText = forwardRef(({
+  text = '',
+  characters = 'upperCase',
+  revealOrder = 'start',
+  duration = 1.5,
+  speed = 20,
+  delay,
+  ease = 'none',
+  trigger = 'scroll',
+  threshold = 0.2,
+  once = false,
+  reverseOnLeave = false,
+  toggleActions,
+  scrub = false,
+  scroller,
+  onStart = () => {},
+  onComplete = () => {},
+  className = '',
+  style = {},
+  reducedMotion,
+  ...otherProps
+}, ref) => {
+  const containerRef = useRef(null);
+  const textRef = useRef(null);
+  const tweenRef = useRef(null);
+  
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDelay,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  // Fall back to the nearest AnimationProvider's defaults
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Plays once on enter unless told to reverse or follow the scroll
+  if (toggleActions === undefined) toggleActions = reverseOnLeave ? 'play none none reverse' : 'play none none none';
+  
+  // Build a tween that decodes the text as its progress goes from 0 to 1
+  const createScrambleTween = (tweenVars) => {
+    const element = textRef.current;
+    
+    // Scrambling flickers, so the text only fades in for users who prefer reduced motion
+    if (shouldReduceMotion) {
+      element.textContent = text;
+      return gsap.fromTo(element, { opacity: 0 }, { opacity: 1, duration, ease, ...tweenVars });
+    }
+    
+    const targets = splitGraphemes(text);
+    const glyphs = splitGraphemes(CHARACTER_SETS[characters] || characters);
+    const seed = Math.floor(Math.random() * 1000);
+    
+    // The progress at which each character resolves; whitespace never scrambles
+    const scrambled = targets.map((char, index) => index).filter(index => /\S/.test(targets[index]));
+    const order = revealOrder === 'random' ? gsap.utils.shuffle(scrambled.slice()) :
+      revealOrder === 'end' ? scrambled.slice().reverse() : scrambled;
+    
+    const resolveAt = {};
+    order.forEach((index, rank) => {
+      resolveAt[index] = (rank + 1) / order.length;
+    });
+    
+    const state = { progress: 0 };
+    
+    const render = () => {
+      const step = Math.floor(state.progress * duration * speed);
+      
+      element.textContent = targets.map((char, index) => (
+        resolveAt[index] === undefined || state.progress >= resolveAt[index] || glyphs.length === 0
+          ? char
+          : pickGlyph(glyphs, index, step, seed)
+      )).join('');
+    };
+    
+    render();
+    
+    return gsap.to(state, {
+      progress: 1,
+      duration,
+      ease,
+      onUpdate: render,
+      ...tweenVars
+    });
+  };
+  
+  // Inside a ScrollTriggeredTimeline, become a segment of its scrubbed timeline instead
+  const inTimeline = useTimelineSegment(containerRef, () => {
+    if (!textRef.current || disableAllAnimations || disableScrollAnimations) return null;
+    return createScrambleTween({ paused: true, onStart, onComplete });
+  });
+  
+  // Use GSAP's React hook
+  const { contextSafe } = useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    tweenRef.current = null;
+    
+    if (!containerRef.current || !textRef.current || inTimeline) return;
+    
+    // Start from the final text, which stays if animations are disabled
+    textRef.current.textContent = text;
+    
+    if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) return;
+    
+    // Only set up automatic animations for load and scroll triggers
+    if (trigger !== 'load' && trigger !== 'scroll') return;
+    
+    const tween = createScrambleTween({
+      delay,
+      onStart,
+      onComplete,
+      paused: trigger === 'scroll'
+    });
+    tweenRef.current = tween;
+    
+    // Set up scroll trigger if needed
+    if (trigger === 'scroll') {
+      ScrollTrigger.create({
+        trigger: containerRef.current,
+        scroller: resolveScroller(scroller, containerRef.current),
+        start: `top bottom-=${threshold * 100}%`,
+        animation: tween,
+        // Scrubbing runs until the element's center reaches the middle of the viewport
+        ...(scrub ? { end: 'center center', scrub } : { toggleActions }),
+        once
+      });
+    }
+    
+    return () => {
+      // Clean up ScrollTrigger instances
+      if (trigger === 'scroll') {
+        ScrollTrigger.getAll()
+          .filter(st => st.vars.trigger === containerRef.current)
+          .forEach(st => st.kill());
+      }
+    };
+  }, [
+    text,
+    characters,
+    revealOrder,
+    duration,
+    speed,
+    delay,
+    ease,
+    trigger,
+    threshold,
+    once,
+    toggleActions,
+    scrub,
+    scroller,
+    disableAllAnimations,
+    disableScrollAnimations,
+    shouldReduceMotion,
+    inTimeline
+  ], containerRef);
+  
+  // Decode the text again, unless it is still decoding
+  const playAnimation = contextSafe(() => {
+    if (disableAllAnimations || shouldReduceMotion || !textRef.current) return;
+    if (tweenRef.current && tweenRef.current.isActive()) return;
+    
+    if (tweenRef.current) tweenRef.current.kill();
+    tweenRef.current = createScrambleTween({ onStart, onComplete });
+  });
+  
+  useImperativeHandle(ref, () => ({
+    play: playAnimation
+  }));
+  
+  // Get event handlers based on trigger type
+  const getEventHandlers = () => {
+    if (disableAllAnimations) return {};
+    
+    if (trigger === 'hover') {
+      return {
+        onMouseEnter: playAnimation
+      };
+    }
+    
+    if (trigger === 'click') {
+      return {
+        onClick: playAnimation
+      };
+    }
+    
+    return {};
+  };
+  
+  const containerStyle = {
+    position: 'relative',
+    display: 'inline-block',
+    ...style
+  };
+  
+  // The scrambled text is laid over the final text, which keeps its size
+  const textStyle = {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0
+  };
+  
+  return (
+    <div
+      ref={containerRef}
+      className={`react-gsap-scramble-text ${className}`}
+      style={containerStyle}
+      {...getEventHandlers()}
+      {...otherProps}
+    >
+      <span style={visuallyHiddenStyle}>{text}</span>
+      <span aria-hidden="true" style={{ visibility: 'hidden' }}>{text}</span>
+      <span ref={textRef} aria-hidden="true" style={textStyle}>{text}</span>
+    </div>
+  );
+});
+
+ScrambleText.displayName = 'ScrambleText';
+
+export default ScrambleText;
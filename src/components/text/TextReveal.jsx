@@ -3,41 +3,60 @@ import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import ScrollTrigger from 'gsap/ScrollTrigger';
 import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+import { useTimelineSegment } from '../../context/TimelineContext';
+import { getEaseDuration } from '../../utils/easings';
+import { isRTL, resolveDirection } from '../../utils/direction';
 
 /**
  * TextReveal component for creating text reveal animations with mask effects
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Text content to reveal
- * @param {number} props.duration - Animation duration in seconds
- * @param {number} props.delay - Animation delay in seconds
- * @param {string} props.ease - GSAP easing function
- * @param {string} props.direction - Reveal direction ('left', 'right', 'top', 'bottom')
+ * @param {number} props.duration - Animation duration in seconds (defaults to a spring ease's settle time, otherwise 1.2 unless a provider sets defaultDuration)
+ * @param {number} props.delay - Animation delay in seconds (defaults to the provider's defaultDelay)
+ * @param {string|function} props.ease - GSAP easing function (defaults to 'power4.inOut' unless a provider sets defaultEase)
+ * @param {string} props.direction - Reveal direction ('start', 'end', 'left', 'right', 'top', 'bottom'); 'start' and 'end' follow the element's writing direction
  * @param {string} props.backgroundColor - Background color for the reveal mask
  * @param {string} props.textColor - Text color
  * @param {string} props.maskStyle - Additional style for the mask ('solid', 'gradient', 'split')
  * @param {string} props.trigger - Animation trigger type ('scroll', 'load', 'none', 'hover', 'click')
  * @param {number} props.threshold - Viewport threshold to trigger animation (0-1)
+ * @param {boolean} props.once - Only play the scroll animation the first time it enters
+ * @param {boolean} props.reverseOnLeave - Reverse when scrolling back above the start, and play again on the way down
+ * @param {string} props.toggleActions - ScrollTrigger toggle actions (defaults to 'play none none none', or 'play none none reverse' with reverseOnLeave)
+ * @param {boolean|number} props.scrub - Link the animation to the scroll position (true) or smooth it over this many seconds
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
  * @param {function} props.onStart - Callback when animation starts
  * @param {function} props.onComplete - Callback when animation completes
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
+ * @param {Object|function} props.exit - Exit animation used when removed inside AnimatePresence
+ * @param {string} props.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  */
 const TextReveal = ({
   children,
-  duration = 1.2,
-  delay = 0,
-  ease = "power4.inOut",
-  direction = 'left',
+  duration,
+  delay,
+  ease,
+  direction = 'start',
   backgroundColor = '#000',
   textColor = 'inherit',
   maskStyle = 'solid',
   trigger = 'scroll',
   threshold = 0.2,
+  once = false,
+  reverseOnLeave = false,
+  toggleActions,
+  scrub = false,
+  scroller,
   onStart = () => {},
   onComplete = () => {},
   className = '',
   style = {},
+  exit,
+  reducedMotion,
   ...otherProps
 }) => {
   // References to DOM elements
@@ -45,43 +64,79 @@ const TextReveal = ({
   const textRef = useRef(null);
   const maskRef = useRef(null);
   
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion, { defaultDuration: 1.2, defaultEase: 'power4.inOut' });
   
-  // Use GSAP's React hook
-  const { contextSafe } = useGSAP(() => {
-    if (!containerRef.current || !textRef.current || !maskRef.current) return;
+  // Fall back to the nearest AnimationProvider's defaults
+  if (ease === undefined) ease = defaultEase;
+  if (duration === undefined) duration = getEaseDuration(ease, defaultDuration);
+  if (delay === undefined) delay = defaultDelay;
+  if (scroller === undefined) scroller = defaultScroller;
+  
+  // Plays once on enter unless told to reverse or follow the scroll
+  if (toggleActions === undefined) toggleActions = reverseOnLeave ? 'play none none reverse' : 'play none none none';
+  
+  // The physical side the reveal starts from, flipped for right-to-left text.
+  // Read from the laid out element, so only once it has mounted.
+  const getSide = () => resolveDirection(direction, isRTL(containerRef.current));
+  
+  // Mask styles that depend on the side the reveal starts from
+  const getSideStyles = (side) => {
+    const transformOrigin = 
+      side === 'left' ? 'right center' :
+      side === 'right' ? 'left center' :
+      side === 'top' ? 'center bottom' : 'center top';
     
-    // Skip if animations disabled
-    if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
-      // Make text visible and hide mask
-      gsap.set(textRef.current, { opacity: 1 });
-      gsap.set(maskRef.current, { display: 'none' });
-      return;
+    if (maskStyle === 'gradient') {
+      const gradientDirection = 
+        side === 'left' ? 'to right' :
+        side === 'right' ? 'to left' :
+        side === 'top' ? 'to bottom' : 'to top';
+      
+      return {
+        transformOrigin,
+        background: `linear-gradient(${gradientDirection}, ${backgroundColor} 0%, ${backgroundColor}CC 70%, ${backgroundColor}00 100%)`
+      };
     }
     
-    // Only set up automatic animations for load and scroll triggers
-    if (trigger !== 'load' && trigger !== 'scroll') return;
+    return { transformOrigin };
+  };
+  
+  // Build the mask wipe and text fade from the hidden state
+  const createRevealTimeline = (timelineVars) => {
+    const side = getSide();
     
     // Set initial states
     gsap.set(textRef.current, { opacity: 0 });
+    gsap.set(maskRef.current, getSideStyles(side));
     
     // Determine animation properties based on direction and style
-    const isHorizontal = direction === 'left' || direction === 'right';
+    const isHorizontal = side === 'left' || side === 'right';
     
     // Create a timeline for the animation sequence
-    const tl = gsap.timeline({
-      paused: trigger === 'scroll',
-      onStart,
-      onComplete
-    });
+    const tl = gsap.timeline(timelineVars);
     
     // Set up mask animation based on maskStyle
-    if (maskStyle === 'split') {
+    if (shouldReduceMotion) {
+      // Crossfade the mask away instead of wiping it for users who prefer reduced motion
+      tl.to(maskRef.current, {
+        opacity: 0,
+        duration: duration * 0.6,
+        ease
+      });
+    } else if (maskStyle === 'split') {
       // Split reveal: translate the mask out instead of scaling
       tl.to(maskRef.current, {
         [isHorizontal ? 'x' : 'y']: isHorizontal ? 
-          (direction === 'left' ? '100%' : '-100%') : 
-          (direction === 'top' ? '100%' : '-100%'),
+          (side === 'left' ? '100%' : '-100%') : 
+          (side === 'top' ? '100%' : '-100%'),
         duration: duration * 0.6,
         ease
       });
@@ -92,9 +147,9 @@ const TextReveal = ({
         duration: duration * 0.6,
         ease,
         transformOrigin: 
-          direction === 'left' ? 'right center' :
-          direction === 'right' ? 'left center' :
-          direction === 'top' ? 'center bottom' :
+          side === 'left' ? 'right center' :
+          side === 'right' ? 'left center' :
+          side === 'top' ? 'center bottom' :
           'center top'
       });
     }
@@ -106,12 +161,53 @@ const TextReveal = ({
       ease: 'power2.out'
     }, '-=0.25'); // Start a bit before the mask animation completes
     
+    return tl;
+  };
+  
+  // Inside a ScrollTriggeredTimeline, become a segment of its scrubbed timeline instead
+  const inTimeline = useTimelineSegment(containerRef, () => {
+    if (!textRef.current || !maskRef.current || disableAllAnimations || disableScrollAnimations) return null;
+    return createRevealTimeline({ paused: true, onStart, onComplete });
+  });
+  
+  // Use GSAP's React hook
+  const { contextSafe } = useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    if (!containerRef.current || !textRef.current || !maskRef.current || inTimeline) return;
+    
+    // Skip if animations disabled
+    if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
+      // Make text visible and hide mask
+      gsap.set(textRef.current, { opacity: 1 });
+      gsap.set(maskRef.current, { display: 'none' });
+      return;
+    }
+    
+    // Only set up automatic animations for load and scroll triggers
+    if (trigger !== 'load' && trigger !== 'scroll') {
+      gsap.set(maskRef.current, getSideStyles(getSide()));
+      return;
+    }
+    
+    const tl = createRevealTimeline({
+      delay,
+      paused: trigger === 'scroll',
+      onStart,
+      onComplete
+    });
+    
     // Set up scroll trigger if needed
     if (trigger === 'scroll' && !disableScrollAnimations) {
       ScrollTrigger.create({
         trigger: containerRef.current,
+        scroller: resolveScroller(scroller, containerRef.current),
         start: `top bottom-=${threshold * 100}%`,
-        onEnter: () => tl.play()
+        animation: tl,
+        // Scrubbing runs until the element's center reaches the middle of the viewport
+        ...(scrub ? { end: 'center center', scrub } : { toggleActions }),
+        once
       });
     } else if (trigger === 'load') {
       // Play immediately for load trigger
@@ -126,37 +222,46 @@ const TextReveal = ({
           .forEach(st => st.kill());
       }
     };
-  }, { 
-    scope: containerRef,
-    dependencies: [
-      duration, 
-      delay, 
-      ease, 
-      direction, 
-      maskStyle,
-      trigger, 
-      threshold, 
-      disableAllAnimations, 
-      disableScrollAnimations
-    ]
-  });
+  }, [
+    duration, 
+    delay, 
+    ease, 
+    direction, 
+    maskStyle,
+    backgroundColor,
+    trigger, 
+    threshold, 
+    once,
+    toggleActions,
+    scrub,
+    scroller,
+    disableAllAnimations, 
+    disableScrollAnimations,
+    shouldReduceMotion,
+    inTimeline
+  ], containerRef);
   
   // Play animation function for manual triggers
   const playAnimation = contextSafe(() => {
     if (disableAllAnimations || !containerRef.current || !textRef.current || !maskRef.current) return;
     
+    const side = getSide();
+    
     // Reset to initial state
     gsap.set(textRef.current, { opacity: 0 });
     gsap.set(maskRef.current, { 
       display: 'block',
-      scaleX: direction === 'left' || direction === 'right' ? 1 : undefined,
-      scaleY: direction === 'top' || direction === 'bottom' ? 1 : undefined,
+      opacity: 1,
+      scaleX: side === 'left' || side === 'right' ? 1 : undefined,
+      scaleY: side === 'top' || side === 'bottom' ? 1 : undefined,
       x: 0,
-      y: 0
+      y: 0,
+      ...getSideStyles(side)
     });
     
     // Create a new timeline
     const tl = gsap.timeline({
+      delay,
       onStart,
       onComplete: () => {
         onComplete();
@@ -165,14 +270,20 @@ const TextReveal = ({
     });
     
     // Determine animation properties
-    const isHorizontal = direction === 'left' || direction === 'right';
+    const isHorizontal = side === 'left' || side === 'right';
     
     // Add mask animation
-    if (maskStyle === 'split') {
+    if (shouldReduceMotion) {
+      tl.to(maskRef.current, {
+        opacity: 0,
+        duration: duration * 0.6,
+        ease
+      });
+    } else if (maskStyle === 'split') {
       tl.to(maskRef.current, {
         [isHorizontal ? 'x' : 'y']: isHorizontal ? 
-          (direction === 'left' ? '100%' : '-100%') : 
-          (direction === 'top' ? '100%' : '-100%'),
+          (side === 'left' ? '100%' : '-100%') : 
+          (side === 'top' ? '100%' : '-100%'),
         duration: duration * 0.6,
         ease
       });
@@ -182,9 +293,9 @@ const TextReveal = ({
         duration: duration * 0.6,
         ease,
         transformOrigin: 
-          direction === 'left' ? 'right center' :
-          direction === 'right' ? 'left center' :
-          direction === 'top' ? 'center bottom' :
+          side === 'left' ? 'right center' :
+          side === 'right' ? 'left center' :
+          side === 'top' ? 'center bottom' :
           'center top'
       });
     }
@@ -200,10 +311,9 @@ const TextReveal = ({
     tl.play();
   });
   
-  // Get mask styles based on direction and maskStyle
+  // Get mask styles; the side-dependent ones are set once the direction is known
   const getMaskStyles = () => {
-    // Base styles
-    const baseStyles = {
+    return {
       position: 'absolute',
       background: backgroundColor,
       zIndex: 1,
@@ -212,31 +322,6 @@ const TextReveal = ({
       bottom: 0,
       left: 0
     };
-    
-    // Direction-specific transform origin
-    const transformOrigin = 
-      direction === 'left' ? 'right center' :
-      direction === 'right' ? 'left center' :
-      direction === 'top' ? 'center bottom' : 'center top';
-    
-    // Mask style variations
-    if (maskStyle === 'gradient') {
-      const gradientDirection = 
-        direction === 'left' ? 'to right' :
-        direction === 'right' ? 'to left' :
-        direction === 'top' ? 'to bottom' : 'to top';
-        
-      return {
-        ...baseStyles,
-        transformOrigin,
-        background: `linear-gradient(${gradientDirection}, ${backgroundColor} 0%, ${backgroundColor}CC 70%, ${backgroundColor}00 100%)`
-      };
-    }
-    
-    return {
-      ...baseStyles,
-      transformOrigin
-    };
   };
   
   // Get text styles
@@ -287,6 +372,7 @@ const TextReveal = ({
       <div 
         ref={maskRef} 
         className="react-gsap-textreveal-mask"
+        aria-hidden="true"
         style={getMaskStyles()}
       />
       <div 
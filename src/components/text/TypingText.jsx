@@ -1,15 +1,122 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useState } from 'react';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
 import { useAnimationSettings } from '../../context/AnimationContext';
+import { playback } from '../../utils/playback';
+import { resolveScroller } from '../../utils/scroller';
+import { splitGraphemes } from '../../utils/text';
+
+// Inline pause token: '^500' waits 500ms at that point
+const PAUSE_PATTERN = /\^(\d+)/;
+
+// Typos hit a key next to the intended one
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const getTypo = (char) => {
+  // Only letters are mistyped; childless elements such as images type as ''
+  if (!/^[a-z]$/i.test(char)) return null;
+  
+  const lower = char.toLowerCase();
+  const row = KEYBOARD_ROWS.find(keys => keys.includes(lower));
+  if (!row) return null;
+  
+  const index = row.indexOf(lower);
+  const typo = gsap.utils.random([row[index - 1], row[index + 1]].filter(Boolean));
+  
+  return char === lower ? typo : typo.toUpperCase();
+};
+
+const getTypeName = (type) => (typeof type === 'string' ? type : type.displayName || type.name || 'component');
+
+// Flatten content into the characters to type, keeping the elements around
+// them and the pauses between them. Line breaks and other childless elements
+// are typed as a single character.
+const parseContent = (content) => {
+  const units = [];
+  const pauses = {};
+  const keyParts = [];
+  
+  const parse = (children) => {
+    const nodes = [];
+    
+    React.Children.forEach(children, child => {
+      if (child === null || child === undefined || typeof child === 'boolean') return;
+      
+      if (typeof child === 'string' || typeof child === 'number') {
+        keyParts.push(String(child));
+        
+        // Captured pause durations sit at the odd indexes
+        String(child).split(PAUSE_PATTERN).forEach((part, index) => {
+          if (index % 2 === 1) {
+            pauses[units.length] = (pauses[units.length] || 0) + parseInt(part, 10);
+            return;
+          }
+          
+          if (!part) return;
+          
+          const graphemes = splitGraphemes(part);
+          nodes.push({ type: 'text', graphemes, start: units.length, end: units.length + graphemes.length });
+          units.push(...graphemes);
+        });
+      } else if (React.isValidElement(child)) {
+        keyParts.push(`<${getTypeName(child.type)}>`);
+        
+        const start = units.length;
+        
+        if (child.props.children === undefined || child.props.children === null) {
+          units.push(child.type === 'br' ? '\n' : '');
+          nodes.push({ type: 'atom', element: child, start });
+        } else {
+          const childNodes = parse(child.props.children);
+          nodes.push({ type: 'element', element: child, children: childNodes, start, end: units.length });
+        }
+        
+        keyParts.push('</>');
+      }
+    });
+    
+    return nodes;
+  };
+  
+  const nodes = parse(content);
+  
+  return { nodes, units, pauses, key: keyParts.join('') };
+};
+
+// Render the first `count` characters, with a mistyped character at the caret
+const renderTyped = (nodes, count, typo) => nodes.map((node, index) => {
+  const hasTypo = !!typo && count >= node.start && count < node.end;
+  
+  if (node.type === 'text') {
+    const text = node.graphemes.slice(0, Math.max(0, count - node.start)).join('');
+    return text + (hasTypo ? typo : '') || null;
+  }
+  
+  if (node.type === 'atom') {
+    return count > node.start ? React.cloneElement(node.element, { key: index }) : null;
+  }
+  
+  // Elements appear once typing reaches them
+  if (count <= node.start && !hasTypo) return null;
+  
+  return React.cloneElement(node.element, { key: index }, ...renderTyped(node.children, count, typo));
+});
 
 /**
  * TypingText component for creating typing text animations
- * 
+ * Texts can be plain strings or React content with links, bold text and line
+ * breaks, which are typed with their markup. A '^500' token in the text waits
+ * 500ms at that point, `humanize` varies the time between keystrokes, and
+ * `typoChance` makes the occasional typo that is noticed and corrected.
+ *
  * @param {Object} props - Component props
- * @param {string|string[]} props.text - Text to type or array of texts to type in sequence
+ * @param {React.ReactNode|React.ReactNode[]} props.text - Text to type or array of texts to type in sequence
+ * @param {React.ReactNode} props.children - Content to type, used instead of `text` when given
  * @param {number} props.typingSpeed - Typing speed in characters per second
  * @param {number} props.deleteSpeed - Delete speed in characters per second
+ * @param {number} props.humanize - Random variation of each keystroke's timing (0-1, as a fraction of the delay)
+ * @param {number} props.typoChance - Chance of mistyping a letter and correcting it (0-1)
  * @param {number} props.delayBetweenTexts - Delay between texts in seconds (when text is an array)
  * @param {number} props.startDelay - Delay before typing starts in seconds
  * @param {boolean} props.cursorBlink - Whether to blink the cursor
@@ -17,15 +124,21 @@ import { useAnimationSettings } from '../../context/AnimationContext';
  * @param {string} props.cursorColor - Color of the cursor
  * @param {string} props.trigger - Animation trigger type ('load', 'scroll', 'none')
  * @param {number} props.threshold - Viewport threshold to trigger animation (0-1)
+ * @param {React.RefObject|string} props.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
  * @param {number} props.loop - Number of times to loop the animation (Infinity for infinite)
+ * @param {function} props.onCharacter - Callback for every keystroke with the character and { index, textIndex, typo, deleting }
+ * @param {function} props.onTextComplete - Callback with the index of each text once it is fully typed
  * @param {function} props.onComplete - Callback when animation completes
  * @param {string} props.className - Additional CSS class names
  * @param {Object} props.style - Custom styles
  */
 const TypingText = ({
   text = '',
+  children,
   typingSpeed = 10,
   deleteSpeed = 5,
+  humanize = 0,
+  typoChance = 0,
   delayBetweenTexts = 1.5,
   startDelay = 0.5,
   cursorBlink = true,
@@ -33,7 +146,10 @@ const TypingText = ({
   cursorColor = 'inherit',
   trigger = 'load',
   threshold = 0.2,
+  scroller,
   loop = 0,
+  onCharacter = () => {},
+  onTextComplete = () => {},
   onComplete = () => {},
   className = '',
   style = {},
@@ -41,71 +157,153 @@ const TypingText = ({
 }) => {
   // Get reference to the DOM element
   const containerRef = useRef(null);
-  const textRef = useRef(null);
   const cursorRef = useRef(null);
   
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  const { disableAllAnimations, disableScrollAnimations, scroller: defaultScroller } = useAnimationSettings();
+  
+  if (scroller === undefined) scroller = defaultScroller;
   
-  // Convert text to array if it's a string
-  const textArray = Array.isArray(text) ? text : [text];
+  // Children are typed as a single text; an array of texts is typed in sequence
+  const textArray = children !== undefined ? [children] : Array.isArray(text) ? text : [text];
+  const texts = (textArray.length > 0 ? textArray : ['']).map(parseContent);
+  
+  // Content is compared by its text and markup, as elements are new on every render
+  const contentKey = texts.map(content => content.key).join('\u0000');
+  
+  // The text being typed, how much of it is shown and a mistyped character at the caret
+  const [typed, setTyped] = useState({ index: 0, count: 0, typo: '' });
   
   // UseGSAP hook
-  useGSAP(() => {
-    if (!containerRef.current || !textRef.current || !cursorRef.current) return;
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
+    if (!containerRef.current || !cursorRef.current) return;
     
     // Skip if animations disabled
     if (disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
       // Just show the full text
-      textRef.current.textContent = textArray[textArray.length - 1] || '';
+      const lastIndex = texts.length - 1;
+      setTyped({ index: lastIndex, count: texts[lastIndex].units.length, typo: '' });
       cursorRef.current.style.opacity = 0;
       return;
     }
     
+    setTyped({ index: 0, count: 0, typo: '' });
+    
     // Only set up automatic animations for load and scroll triggers
     if (trigger !== 'load' && trigger !== 'scroll') return;
     
-    const typeText = (index = 0, charIndex = 0, isDeleting = false) => {
-      const currentText = textArray[index % textArray.length] || '';
+    // Keep a handle on the next step so it can be paused and is killed on cleanup
+    let nextStep = null;
+    let untrackStep = () => {};
+    
+    const schedule = (delay, callback) => {
+      untrackStep();
+      nextStep = gsap.delayedCall(delay, callback);
+      untrackStep = playback.track(nextStep);
+    };
+    
+    const getText = (index) => texts[index % texts.length];
+    
+    // Seconds until the next keystroke, varied by `humanize`
+    const getDelay = (speed) => (1 / speed) * (1 + gsap.utils.random(-humanize, humanize));
+    
+    const show = (index, count, typo = '') => {
+      setTyped({ index: index % texts.length, count, typo });
+    };
+    
+    const keystroke = (character, index, count, details = {}) => {
+      if (typeof onCharacter === 'function') {
+        onCharacter(character, { index: count, textIndex: index % texts.length, typo: false, deleting: false, ...details });
+      }
+    };
+    
+    // Whether another text (or another loop) follows this one
+    const hasNext = (index) => {
+      const nextIndex = index + 1;
+      return nextIndex < texts.length || loop === Infinity || nextIndex < texts.length * (loop + 1);
+    };
+    
+    const typeCharacter = (index, count) => {
+      const { units, pauses } = getText(index);
       
-      if (!isDeleting && charIndex <= currentText.length) {
-        // Typing
-        textRef.current.textContent = currentText.substring(0, charIndex);
-        charIndex++;
-        
-        gsap.delayedCall(1 / typingSpeed, () => {
-          typeText(index, charIndex, isDeleting);
-        });
-      } else if (isDeleting && charIndex >= 0) {
-        // Deleting
-        textRef.current.textContent = currentText.substring(0, charIndex);
-        charIndex--;
+      show(index, count + 1);
+      keystroke(units[count], index, count);
+      
+      const pause = (pauses[count + 1] || 0) / 1000;
+      schedule(getDelay(typingSpeed) + pause, () => {
+        typeText(index, count + 1);
+      });
+    };
+    
+    const typeText = (index, count = 0) => {
+      const { units } = getText(index);
+      
+      if (count < units.length) {
+        const typo = typoChance > 0 && Math.random() < typoChance ? getTypo(units[count]) : null;
         
-        gsap.delayedCall(1 / deleteSpeed, () => {
-          typeText(index, charIndex, isDeleting);
-        });
-      } else if (!isDeleting && charIndex > currentText.length) {
-        // Finished typing, wait before deleting
-        if (textArray.length > 1 || loop !== 0) {
-          gsap.delayedCall(delayBetweenTexts, () => {
-            typeText(index, charIndex, true);
-          });
-        } else {
-          // Only one text and no loop, we're done
-          if (typeof onComplete === 'function') onComplete();
+        if (!typo) {
+          typeCharacter(index, count);
+          return;
         }
-      } else if (isDeleting && charIndex < 0) {
-        // Finished deleting, move to next text
-        const nextIndex = index + 1;
         
-        if (nextIndex < textArray.length || (loop === Infinity || nextIndex < textArray.length * (loop + 1))) {
-          gsap.delayedCall(startDelay, () => {
-            typeText(nextIndex, 0, false);
+        // Mistype, notice it after a few keystrokes' time, then backspace
+        show(index, count, typo);
+        keystroke(typo, index, count, { typo: true });
+        
+        schedule(getDelay(typingSpeed) * 3, () => {
+          show(index, count);
+          keystroke(typo, index, count, { typo: true, deleting: true });
+          
+          schedule(getDelay(deleteSpeed), () => {
+            typeCharacter(index, count);
           });
-        } else {
-          // Finished all texts and loops
-          if (typeof onComplete === 'function') onComplete();
-        }
+        });
+        return;
       }
+      
+      // Finished typing this text
+      if (typeof onTextComplete === 'function') onTextComplete(index % texts.length);
+      
+      if (hasNext(index)) {
+        schedule(delayBetweenTexts, () => {
+          deleteText(index, count);
+        });
+      } else {
+        // Finished all texts and loops, leaving the last one in place
+        if (typeof onComplete === 'function') onComplete();
+      }
+    };
+    
+    const deleteText = (index, count) => {
+      if (count > 0) {
+        const { units } = getText(index);
+        
+        show(index, count - 1);
+        keystroke(units[count - 1], index, count - 1, { deleting: true });
+        
+        schedule(getDelay(deleteSpeed), () => {
+          deleteText(index, count - 1);
+        });
+        return;
+      }
+      
+      // Finished deleting, move to next text
+      const nextIndex = index + 1;
+      const pause = (getText(nextIndex).pauses[0] || 0) / 1000;
+      
+      schedule(startDelay + pause, () => {
+        typeText(nextIndex);
+      });
+    };
+    
+    const start = () => {
+      const pause = (getText(0).pauses[0] || 0) / 1000;
+      
+      schedule(startDelay + pause, () => {
+        typeText(0);
+      });
     };
     
     // Set up cursor blinking
@@ -118,25 +316,23 @@ const TypingText = ({
       });
     }
     
-    // Start typing after delay
-    gsap.delayedCall(startDelay, () => {
-      typeText(0, 0, false);
-    });
-    
-    // Set up scroll trigger if needed
+    // Start typing after delay, once in view for the scroll trigger
     if (trigger === 'scroll') {
-      const timeline = gsap.timeline({ paused: true });
-      
       ScrollTrigger.create({
         trigger: containerRef.current,
+        scroller: resolveScroller(scroller, containerRef.current),
         start: `top bottom-=${threshold * 100}%`,
-        onEnter: () => timeline.play()
+        once: true,
+        onEnter: start
       });
+    } else {
+      start();
     }
     
     return () => {
       // Clear all delayed calls and animations
-      gsap.killTweensOf(textRef.current);
+      if (nextStep) nextStep.kill();
+      untrackStep();
       gsap.killTweensOf(cursorRef.current);
       
       // Clear any ScrollTrigger instances
@@ -146,22 +342,22 @@ const TypingText = ({
           .forEach(st => st.kill());
       }
     };
-  }, { 
-    scope: containerRef,
-    dependencies: [
-      JSON.stringify(textArray),
-      typingSpeed,
-      deleteSpeed,
-      delayBetweenTexts,
-      startDelay,
-      cursorBlink,
-      trigger,
-      threshold,
-      loop,
-      disableAllAnimations,
-      disableScrollAnimations
-    ]
-  });
+  }, [
+    contentKey,
+    typingSpeed,
+    deleteSpeed,
+    humanize,
+    typoChance,
+    delayBetweenTexts,
+    startDelay,
+    cursorBlink,
+    trigger,
+    threshold,
+    scroller,
+    loop,
+    disableAllAnimations,
+    disableScrollAnimations
+  ], containerRef);
   
   // Cursor styles
   const cursorStyle = {
@@ -171,17 +367,19 @@ const TypingText = ({
     fontWeight: 'normal'
   };
   
+  const current = texts[typed.index] || texts[0];
+  
   return (
-    <div 
+    <div
       ref={containerRef}
       className={`react-gsap-typing-text ${className}`}
       style={style}
       {...otherProps}
     >
-      <span ref={textRef}></span>
+      <span>{renderTyped(current.nodes, typed.count, typed.typo)}</span>
       <span ref={cursorRef} style={cursorStyle}>{cursorChar}</span>
     </div>
   );
 };
 
-export default TypingText;
\ No newline at end of file
+export default TypingText;
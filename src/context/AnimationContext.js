@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useState, useEffect, useLayoutEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import gsap from 'gsap';
 import { useGSAP } from '@gsap/react';
 import ScrollTrigger from 'gsap/ScrollTrigger';
+import { playback } from '../utils/playback';
 
 // Register plugins
 if (typeof window !== 'undefined') {
@@ -12,9 +13,6 @@ if (typeof window !== 'undefined') {
   }
 }
 
-// For server-side rendering
-const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
-
 /**
  * Default animation settings
  */
@@ -29,8 +27,100 @@ const defaultAnimationSettings = {
   disableAllAnimations: false,
   disableScrollAnimations: false,
   
+  // Scroll container watched by scroll-triggered components: a ref, element or selector (null for the window)
+  scroller: null,
+  
+  // Reduced motion settings
+  reducedMotion: 'reduce', // 'disable', 'reduce', or 'ignore' when the user prefers reduced motion
+  prefersReducedMotion: false, // Detected from the prefers-reduced-motion media query
+  lowBattery: false, // Detected from the Battery Status API: below 20% and not charging
+  
+  // Controller to pause, resume or slow down every library animation
+  playback,
+  
   // Animation quality settings
-  animationQuality: 'high', // 'low', 'medium', 'high'
+  animationQuality: 'high', // 'low', 'medium', 'high', or 'auto' to pick a tier from measured frame time
+};
+
+/**
+ * What each animationQuality tier means for the components
+ */
+export const qualityTiers = {
+  low: {
+    densityScale: 0.3,      // AnimatedBackground particle / line density multiplier
+    maxFps: 30,             // Frame rate cap for canvas backgrounds
+    maxCursorTrails: 0,     // AnimatedCursor drops its trails
+    tilt3D: false,          // AnimatedCard falls back from '3d' to 'lift'
+    splitChars: false       // SplitText splits into words instead of characters
+  },
+  medium: {
+    densityScale: 0.6,
+    maxFps: 60,
+    maxCursorTrails: 3,
+    tilt3D: true,
+    splitChars: true
+  },
+  high: {
+    densityScale: 1,
+    maxFps: 60,
+    maxCursorTrails: Infinity,
+    tilt3D: true,
+    splitChars: true
+  }
+};
+
+const qualityOrder = ['low', 'medium', 'high'];
+
+// Average frame times (ms) above which the automatic tier drops to 'low' or 'medium'
+const frameTimeThresholds = {
+  low: 1000 / 30,
+  medium: 1000 / 50
+};
+
+// Frames averaged per automatic quality measurement
+const FRAME_SAMPLE_SIZE = 60;
+
+/**
+ * Pick a quality tier for an average frame time
+ * Drops immediately when frames are slow, but only climbs back once they are
+ * clearly fast, so the tier doesn't flip back and forth around a threshold.
+ * 
+ * @param {number} frameTime - Average frame time in milliseconds
+ * @param {string} currentQuality - Tier currently in use
+ * @returns {string} Quality tier
+ */
+const getAutoQuality = (frameTime, currentQuality) => {
+  const tierFor = (scale) => {
+    if (frameTime > frameTimeThresholds.low * scale) return 'low';
+    if (frameTime > frameTimeThresholds.medium * scale) return 'medium';
+    return 'high';
+  };
+  
+  const slower = tierFor(1);
+  const faster = tierFor(0.8);
+  
+  if (qualityOrder.indexOf(slower) < qualityOrder.indexOf(currentQuality)) return slower;
+  if (qualityOrder.indexOf(faster) > qualityOrder.indexOf(currentQuality)) return faster;
+  
+  return currentQuality;
+};
+
+/**
+ * Keep returning the same settings object while its values stay the same, so
+ * an inline `settings={{ ... }}` prop doesn't re-render every consumer
+ * @param {Object} settings - Provider settings
+ * @returns {Object} Settings object, stable across equal renders
+ */
+const useStableSettings = (settings) => {
+  const settingsRef = useRef(settings);
+  const previous = settingsRef.current;
+  const keys = Object.keys(settings);
+  
+  if (keys.length !== Object.keys(previous).length || keys.some(key => settings[key] !== previous[key])) {
+    settingsRef.current = settings;
+  }
+  
+  return settingsRef.current;
 };
 
 /**
@@ -40,7 +130,9 @@ const AnimationContext = createContext(defaultAnimationSettings);
 
 /**
  * Animation Provider Component
- * Provides global animation settings
+ * Provides animation settings to its subtree. Providers can be nested:
+ * an inner provider inherits the settings of the nearest outer provider
+ * and overrides only the values it sets itself.
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child elements
@@ -48,60 +140,55 @@ const AnimationContext = createContext(defaultAnimationSettings);
  * @returns {JSX.Element} Provider component
  */
 export const AnimationProvider = ({ children, settings = {} }) => {
-  // Merge default settings with user settings
-  const [animationSettings, setAnimationSettings] = useState({
-    ...defaultAnimationSettings,
-    ...settings
-  });
+  // Settings of the nearest outer provider (or the defaults at the root)
+  const parentContext = useContext(AnimationContext);
+  const isRootProvider = typeof parentContext.updateSettings !== 'function';
+  const ownSettings = useStableSettings(settings);
+  
+  // Settings changed at runtime through updateSettings
+  const [runtimeSettings, setRuntimeSettings] = useState({});
+  
+  // Merge inherited settings with this provider's settings
+  const animationSettings = useMemo(() => {
+    const { updateSettings: parentUpdateSettings, providedSettings: parentProvided, ...inheritedSettings } = parentContext;
+    
+    return {
+      ...inheritedSettings,
+      ...ownSettings,
+      ...runtimeSettings,
+      // Only the values some provider set, so components can keep their own defaults otherwise
+      providedSettings: {
+        ...parentProvided,
+        ...ownSettings,
+        ...runtimeSettings
+      }
+    };
+  }, [parentContext, ownSettings, runtimeSettings]);
+  
+  // Tier picked from measured frame time when animationQuality is 'auto'
+  const [measuredQuality, setMeasuredQuality] = useState('high');
+  const isAutoQuality = animationSettings.animationQuality === 'auto';
   
   // Update settings method
-  const updateSettings = (newSettings) => {
-    setAnimationSettings(prevSettings => ({
+  const updateSettings = useCallback((newSettings) => {
+    setRuntimeSettings(prevSettings => ({
       ...prevSettings,
       ...newSettings
     }));
-  };
-  
-  // Initialize GSAP with the user's settings
-  useIsomorphicLayoutEffect(() => {
-    if (typeof window !== 'undefined') {
-      try {
-        // Register GSAP plugins
-        gsap.registerPlugin(useGSAP, ScrollTrigger);
-        
-        // Set GSAP defaults based on settings
-        gsap.defaults({
-          ease: animationSettings.defaultEase,
-          duration: animationSettings.defaultDuration,
-          overwrite: 'auto'
-        });
-      } catch (error) {
-        console.warn("GSAP initialization failed:", error);
-      }
-    }
-  }, [
-    animationSettings.defaultEase,
-    animationSettings.defaultDuration
-  ]);
+  }, []);
   
-  // Detect user's motion preferences
+  // Detect user's motion preferences (once, at the outermost provider)
   useEffect(() => {
-    if (typeof window !== 'undefined') {
+    if (isRootProvider && typeof window !== 'undefined') {
       // Check for reduced motion preference
       const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
       if (motionQuery.matches) {
-        updateSettings({ 
-          disableAllAnimations: true,
-          disableScrollAnimations: true
-        });
+        updateSettings({ prefersReducedMotion: true });
       }
       
       // Listen for changes to preference
       const handleMotionChange = (e) => {
-        updateSettings({ 
-          disableAllAnimations: e.matches,
-          disableScrollAnimations: e.matches
-        });
+        updateSettings({ prefersReducedMotion: e.matches });
       };
       
       try {
@@ -122,33 +209,84 @@ export const AnimationProvider = ({ children, settings = {} }) => {
   
   // Check for battery status to optimize animations on low battery
   useEffect(() => {
-    if (typeof navigator !== 'undefined' && 'getBattery' in navigator) {
+    if (isRootProvider && typeof navigator !== 'undefined' && 'getBattery' in navigator) {
+      let battery = null;
+      let unmounted = false;
+      
+      // Only recover once the battery is clearly better, so the tier doesn't flip back and forth
+      const handleBatteryChange = () => {
+        if (battery.level < 0.2 && !battery.charging) {
+          updateSettings({ lowBattery: true });
+        } else if (battery.level > 0.5 || battery.charging) {
+          updateSettings({ lowBattery: false });
+        }
+      };
+      
       try {
-        navigator.getBattery().then(battery => {
-          if (battery.level < 0.2 && !battery.charging) {
-            updateSettings({ animationQuality: 'low' });
-          }
+        navigator.getBattery().then(result => {
+          if (unmounted) return;
+          
+          battery = result;
+          handleBatteryChange();
           
           // Listen for battery changes
-          battery.addEventListener('levelchange', () => {
-            if (battery.level < 0.2 && !battery.charging) {
-              updateSettings({ animationQuality: 'low' });
-            } else if (battery.level > 0.5 || battery.charging) {
-              updateSettings({ animationQuality: 'high' });
-            }
-          });
+          battery.addEventListener('levelchange', handleBatteryChange);
+          battery.addEventListener('chargingchange', handleBatteryChange);
         });
       } catch (e) {
         console.warn("Battery status detection failed:", e);
       }
+      
+      return () => {
+        unmounted = true;
+        
+        if (battery) {
+          battery.removeEventListener('levelchange', handleBatteryChange);
+          battery.removeEventListener('chargingchange', handleBatteryChange);
+        }
+      };
     }
   }, []);
   
-  // Construct the context value
-  const contextValue = {
+  // Measure frame time while the automatic quality tier is in use
+  useEffect(() => {
+    if (!isAutoQuality || typeof window === 'undefined') return;
+    
+    let samples = [];
+    
+    // Sample the shared GSAP ticker rather than running a separate frame loop
+    const sampleFrame = (time, frameTime) => {
+      // Ignore hidden tabs and long gaps from paused scripts
+      if (document.hidden) return;
+      
+      if (frameTime > 0 && frameTime < 250) {
+        samples.push(frameTime);
+      }
+      
+      if (samples.length >= FRAME_SAMPLE_SIZE) {
+        const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        setMeasuredQuality(current => getAutoQuality(average, current));
+        samples = [];
+      }
+    };
+    
+    gsap.ticker.add(sampleFrame);
+    
+    return () => gsap.ticker.remove(sampleFrame);
+  }, [isAutoQuality]);
+  
+  // Low battery lowers the automatic or default tier, but never a tier a provider chose
+  const hasChosenQuality = !isAutoQuality && animationSettings.providedSettings.animationQuality !== undefined;
+  
+  let animationQuality = isAutoQuality ? measuredQuality : animationSettings.animationQuality;
+  if (animationSettings.lowBattery && !hasChosenQuality) animationQuality = 'low';
+  
+  // Construct the context value, kept stable so consumers only re-render on changes
+  const contextValue = useMemo(() => ({
     ...animationSettings,
+    animationQuality,
     updateSettings
-  };
+  }), [animationSettings, animationQuality, updateSettings]);
   
   return (
     <AnimationContext.Provider value={contextValue}>
@@ -157,18 +295,63 @@ export const AnimationProvider = ({ children, settings = {} }) => {
   );
 };
 
+/**
+ * Apply the reduced motion mode to a set of settings
+ * 'disable' turns animations off, 'reduce' asks components for their gentler alternative.
+ * 
+ * @param {Object} settings - Provider settings
+ * @param {string} override - Component-level reducedMotion mode
+ * @returns {Object} Settings with the disable flags and shouldReduceMotion resolved
+ */
+const resolveReducedMotion = (settings, override) => {
+  const mode = override || settings.reducedMotion;
+  const disableForMotion = settings.prefersReducedMotion && mode === 'disable';
+  
+  return {
+    ...settings,
+    disableAllAnimations: settings.disableAllAnimations || disableForMotion,
+    disableScrollAnimations: settings.disableScrollAnimations || disableForMotion,
+    shouldReduceMotion: settings.prefersReducedMotion && mode === 'reduce'
+  };
+};
+
 /**
  * Hook to use animation settings
+ * @param {string} reducedMotion - Component-level override of the provider's reducedMotion mode
+ * @param {Object} componentDefaults - Defaults of the calling component (e.g. defaultDuration), used unless a provider sets them
  * @returns {Object} Animation settings and update function
  */
-export const useAnimationSettings = () => {
+export const useAnimationSettings = (reducedMotion, componentDefaults) => {
   const context = useContext(AnimationContext);
   
   if (context === undefined) {
     throw new Error('useAnimationSettings must be used within an AnimationProvider');
   }
   
-  return context;
+  if (!componentDefaults) return resolveReducedMotion(context, reducedMotion);
+  
+  const provided = context.providedSettings || {};
+  const settings = { ...context };
+  
+  Object.keys(componentDefaults).forEach(key => {
+    if (provided[key] === undefined) settings[key] = componentDefaults[key];
+  });
+  
+  return resolveReducedMotion(settings, reducedMotion);
+};
+
+/**
+ * Hook to get the current animation quality tier and what it allows
+ * @returns {Object} The tier name as `quality` plus its qualityTiers options
+ */
+export const useAnimationQuality = () => {
+  const { animationQuality } = useAnimationSettings();
+  const quality = qualityTiers[animationQuality] ? animationQuality : 'high';
+  
+  return {
+    quality,
+    ...qualityTiers[quality]
+  };
 };
 
 export default AnimationContext;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Horizontal Scroll Context
+ * Provided by HorizontalScroll to each of its panels
+ */
+const HorizontalScrollContext = createContext(null);
+
+/**
+ * Hook to read the scroll state of the enclosing HorizontalScroll panel
+ * Pass `containerAnimation` to your own ScrollTriggers to trigger them by
+ * horizontal position, or map the progress values with useTransform.
+ *
+ * @returns {Object|null} { containerAnimation, progress, panelIndex, panelProgress }, or null outside HorizontalScroll
+ */
+export const useHorizontalScroll = () => {
+  return useContext(HorizontalScrollContext);
+};
+
+export default HorizontalScrollContext;
@@ -0,0 +1,195 @@
+import { createContext, Component } from 'react';
+import gsap from 'gsap';
+
+/**
+ * Layout Group Context
+ * Shares one layout store between every layout-animated element in a LayoutGroup
+ */
+const LayoutGroupContext = createContext(null);
+
+/**
+ * Measure the bounding box and corner radius of an element
+ * @param {HTMLElement} element - DOM element to measure
+ * @returns {Object} Box with top, left, width, height and radius
+ */
+const measure = (element) => {
+  const rect = element.getBoundingClientRect();
+  const radius = parseFloat(window.getComputedStyle(element).borderTopLeftRadius) || 0;
+  
+  return {
+    top: rect.top,
+    left: rect.left,
+    width: rect.width,
+    height: rect.height,
+    radius
+  };
+};
+
+/**
+ * Create a store that records element boxes before a React commit and
+ * animates each element from its old box to its new one (FLIP)
+ *
+ * @returns {Object} Layout store with register, snapshot and flush methods
+ */
+export const createLayoutStore = () => {
+  const entries = new Set();
+  const snapshots = new Map();
+  const sharedBoxes = new Map();
+  const tweens = new Map();
+  
+  // Animate a single element from a previous box to its current one
+  const animate = (element, from, entry) => {
+    const { layout, duration, ease, onStart, onComplete } = entry.options;
+    
+    // Measure the new box without any running layout animation applied
+    if (tweens.has(element)) {
+      tweens.get(element).kill();
+      tweens.delete(element);
+      gsap.set(element, { clearProps: 'transform,transformOrigin' });
+    }
+    
+    const to = measure(element);
+    const dx = from.left - to.left;
+    const dy = from.top - to.top;
+    const animateSize = layout !== 'position';
+    const scaleX = animateSize && to.width ? from.width / to.width : 1;
+    const scaleY = animateSize && to.height ? from.height / to.height : 1;
+    
+    const hasMoved = Math.abs(dx) > 0.5 || Math.abs(dy) > 0.5;
+    const hasResized = Math.abs(scaleX - 1) > 0.001 || Math.abs(scaleY - 1) > 0.001;
+    
+    if (!hasMoved && !hasResized) return;
+    
+    const fromVars = { x: dx, y: dy, transformOrigin: '0 0' };
+    const toVars = { x: 0, y: 0 };
+    
+    if (animateSize) {
+      fromVars.scaleX = scaleX;
+      fromVars.scaleY = scaleY;
+      toVars.scaleX = 1;
+      toVars.scaleY = 1;
+      
+      // Counter-scale the corner radius so corners don't stretch while scaled
+      if (from.radius || to.radius) {
+        fromVars.borderRadius = `${from.radius / scaleX}px / ${from.radius / scaleY}px`;
+        toVars.borderRadius = `${to.radius}px / ${to.radius}px`;
+      }
+    }
+    
+    const inlineRadius = element.style.borderRadius;
+    
+    const tween = gsap.fromTo(element, fromVars, {
+      ...toVars,
+      duration,
+      ease,
+      onStart,
+      onComplete: () => {
+        tweens.delete(element);
+        gsap.set(element, { clearProps: 'transform,transformOrigin' });
+        element.style.borderRadius = inlineRadius;
+        if (onComplete) onComplete();
+      }
+    });
+    
+    tweens.set(element, tween);
+  };
+  
+  return {
+    /**
+     * Register a layout entry
+     * @param {Object} entry - Entry with getElements, layoutId and options
+     * @returns {Function} Unregister function
+     */
+    register: (entry) => {
+      entries.add(entry);
+      
+      return () => {
+        entries.delete(entry);
+        
+        entry.getElements().forEach(element => {
+          // Keep the last box around so a new element with the same layoutId can take over
+          if (entry.layoutId) {
+            const box = snapshots.get(element) || measure(element);
+            sharedBoxes.set(entry.layoutId, box);
+            
+            // Forget the box if no element picks it up in this commit
+            requestAnimationFrame(() => {
+              if (sharedBoxes.get(entry.layoutId) === box) {
+                sharedBoxes.delete(entry.layoutId);
+              }
+            });
+          }
+          
+          if (tweens.has(element)) {
+            tweens.get(element).kill();
+            tweens.delete(element);
+          }
+          
+          snapshots.delete(element);
+        });
+      };
+    },
+    
+    /**
+     * Record the current box of every registered element
+     * Called from LayoutSnapshot, before React commits DOM changes
+     */
+    snapshot: () => {
+      if (typeof window === 'undefined') return;
+      
+      entries.forEach(entry => {
+        if (entry.options.disabled) return;
+        
+        entry.getElements().forEach(element => {
+          snapshots.set(element, measure(element));
+        });
+      });
+    },
+    
+    /**
+     * Animate every element whose box changed since the last snapshot
+     * Called from layout effects, after React commits DOM changes
+     */
+    flush: () => {
+      entries.forEach(entry => {
+        if (entry.options.disabled) return;
+        
+        entry.getElements().forEach(element => {
+          let from = snapshots.get(element);
+          
+          // Newly mounted element taking over from a removed one with the same layoutId
+          if (!from && entry.layoutId && sharedBoxes.has(entry.layoutId)) {
+            from = sharedBoxes.get(entry.layoutId);
+            sharedBoxes.delete(entry.layoutId);
+          }
+          
+          if (from) {
+            animate(element, from, entry);
+          }
+        });
+      });
+      
+      snapshots.clear();
+    }
+  };
+};
+
+/**
+ * Renders nothing, and records every box in a layout store right before
+ * React applies the render it belongs to. getSnapshotBeforeUpdate is the only
+ * point in a commit where the DOM is still unchanged.
+ */
+export class LayoutSnapshot extends Component {
+  getSnapshotBeforeUpdate() {
+    this.props.store.snapshot();
+    return null;
+  }
+  
+  componentDidUpdate() {}
+  
+  render() {
+    return null;
+  }
+}
+
+export default LayoutGroupContext;
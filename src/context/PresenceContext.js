@@ -0,0 +1,54 @@
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+/**
+ * Presence Context
+ * Provided by AnimatePresence to each of its direct children
+ */
+const PresenceContext = createContext(null);
+
+// Incrementing id used to tell custom exit handlers apart
+let presenceId = 0;
+
+/**
+ * Hook to take control of a component's exit animation inside AnimatePresence
+ * When a component calls this hook, AnimatePresence will not run its own exit
+ * tween and instead waits for safeToRemove to be called
+ *
+ * @returns {Array} [isPresent, safeToRemove] - Presence state and removal callback
+ */
+export const usePresence = () => {
+  const context = useContext(PresenceContext);
+  const idRef = useRef(null);
+  
+  if (idRef.current === null) {
+    idRef.current = ++presenceId;
+  }
+  
+  const id = idRef.current;
+  
+  // Register this component as a custom exit handler
+  useEffect(() => {
+    if (!context) return;
+    return context.register(id);
+  }, [context && context.register, id]);
+  
+  // Outside AnimatePresence the component is always present
+  if (!context) {
+    return [true, null];
+  }
+  
+  const safeToRemove = () => context.onExitComplete(id);
+  
+  return [context.isPresent, safeToRemove];
+};
+
+/**
+ * Hook to read whether the component is still present without taking control of removal
+ * @returns {boolean} Whether the component is present
+ */
+export const useIsPresent = () => {
+  const context = useContext(PresenceContext);
+  return context ? context.isPresent : true;
+};
+
+export default PresenceContext;
@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Scroll Sections Context
+ * Provided by ScrollSections to its sections and navigation
+ */
+const ScrollSectionsContext = createContext(null);
+
+/**
+ * Hook to read and control the enclosing ScrollSections
+ * ScrollProgress uses it to turn its 'dots' into section navigation.
+ *
+ * @returns {Object|null} { activeIndex, count, goTo, next, previous }, or null outside ScrollSections
+ */
+export const useScrollSections = () => {
+  return useContext(ScrollSectionsContext);
+};
+
+export default ScrollSectionsContext;
@@ -0,0 +1,78 @@
+import { createContext, useContext, useRef, useEffect, useLayoutEffect } from 'react';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Timeline Context
+ * Provided by ScrollTriggeredTimeline so descendants can add segments to its
+ * scrubbed timeline, and narrowed by TimelineStep to place them
+ */
+const TimelineContext = createContext(null);
+
+/**
+ * Hook to read the timeline of the enclosing ScrollTriggeredTimeline
+ * The timeline is null until the parent has built it, and is rebuilt when
+ * segments are added or removed, so use it as an effect dependency.
+ *
+ * @returns {Object|null} GSAP timeline
+ */
+export const useParentTimeline = () => {
+  const context = useContext(TimelineContext);
+  return context ? context.timeline : null;
+};
+
+/**
+ * Hook to add an animation to the enclosing ScrollTriggeredTimeline
+ * Inside a TimelineStep the animation starts at the step's position and is
+ * stretched to the step's duration; otherwise it is appended to the end.
+ *
+ * @param {React.RefObject} elementRef - Element used to order segments by document position
+ * @param {function} createAnimation - Returns a paused tween or timeline (or null to skip)
+ * @returns {boolean} Whether the element is part of a parent timeline
+ */
+export const useTimelineSegment = (elementRef, createAnimation) => {
+  const context = useContext(TimelineContext);
+  const step = context ? context.step : null;
+  
+  // Keep a stable entry for the parent and refresh it on every render
+  const entryRef = useRef(null);
+  
+  if (!entryRef.current) {
+    entryRef.current = {};
+  }
+  
+  Object.assign(entryRef.current, {
+    step,
+    getElement: () => elementRef.current,
+    build: (timeline) => {
+      const animation = createAnimation();
+      if (!animation) return;
+      
+      if (!step) {
+        timeline.add(animation.paused(false));
+        return;
+      }
+      
+      // Labelled steps can be targeted with relative positions like 'intro+=0.1'
+      if (step.label && timeline.labels[step.label] === undefined) {
+        timeline.addLabel(step.label, step.at);
+      }
+      
+      if (step.duration !== undefined) {
+        animation.duration(step.duration);
+      }
+      
+      timeline.add(animation.paused(false), step.label || step.at);
+    }
+  });
+  
+  useIsomorphicLayoutEffect(() => {
+    if (!context) return;
+    return context.register(entryRef.current);
+  }, [context && context.register]);
+  
+  return !!context;
+};
+
+export default TimelineContext;
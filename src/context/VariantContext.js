@@ -0,0 +1,10 @@
+import { createContext } from 'react';
+
+/**
+ * Variant Context
+ * Propagates the current `initial` and `animate` variant labels to descendants
+ * and lets them register so the parent can orchestrate their animations
+ */
+const VariantContext = createContext(null);
+
+export default VariantContext;
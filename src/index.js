@@ -1,25 +1,51 @@
 // Main export file for our library
 
 // Export context provider
-import { AnimationProvider, useAnimationSettings } from './context/AnimationContext';
+import { AnimationProvider, useAnimationSettings, useAnimationQuality, qualityTiers } from './context/AnimationContext';
+import { usePresence, useIsPresent } from './context/PresenceContext';
+import { useHorizontalScroll } from './context/HorizontalScrollContext';
+import { useParentTimeline, useTimelineSegment } from './context/TimelineContext';
+import { useScrollSections } from './context/ScrollSectionsContext';
 
 // Export hooks
 import { useAnimation, useAnimationEffect, useScrollTrigger } from './utils/useAnimation';
+import { useLayoutAnimation } from './utils/useLayoutAnimation';
+import { useVariants } from './utils/useVariants';
+import { useDraggable } from './utils/useDraggable';
+import { useScrollProgress } from './utils/useScrollProgress';
+import { useMotionValue, useTransform, useMotionStyle } from './utils/motionValue';
 
 // Basic components
 import FadeIn from './components/basic/FadeIn.jsx';
 import SlideIn from './components/basic/SlideIn.jsx';
 import SimpleAnimated from './components/basic/SimpleAnimated.jsx';
+import AnimatePresence from './components/basic/AnimatePresence.jsx';
 
 // Text components
 import TextReveal from './components/text/TextReveal.jsx';
 import TypingText from './components/text/TypingText.jsx';
+import ScrambleText from './components/text/ScrambleText.jsx';
 
 // Interactive components
 import AnimatedButton from './components/interactive/AnimatedButton.jsx';
+import Draggable from './components/interactive/Draggable.jsx';
+
+// Layout components
+import LayoutGroup from './components/layout/LayoutGroup.jsx';
+import LayoutItem from './components/layout/LayoutItem.jsx';
+import HorizontalScroll from './components/layout/HorizontalScroll.jsx';
+import ScrollSections from './components/layout/ScrollSections.jsx';
+import SmoothScroll from './components/layout/SmoothScroll.jsx';
+
+// Scroll components
+import ScrollTriggeredTimeline from './components/ScrollTriggeredTimeline.jsx';
+import TimelineStep from './components/TimelineStep.jsx';
+import ScrollProgress from './components/ScrollProgress.jsx';
 
 // Utility functions
 import * as animations from './utils/animations.js';
+import * as easings from './utils/easings.js';
+import { playback } from './utils/playback';
 
 // Register GSAP plugins
 import gsap from 'gsap';
@@ -53,26 +79,58 @@ export {
   // Context provider
   AnimationProvider,
   useAnimationSettings,
+  useAnimationQuality,
+  qualityTiers,
   
   // Hooks
   useAnimation,
   useAnimationEffect,
   useScrollTrigger,
+  usePresence,
+  useIsPresent,
+  useLayoutAnimation,
+  useVariants,
+  useDraggable,
+  useScrollProgress,
+  useMotionValue,
+  useTransform,
+  useMotionStyle,
+  useHorizontalScroll,
+  useParentTimeline,
+  useTimelineSegment,
+  useScrollSections,
   
   // Basic components
   FadeIn,
   SlideIn,
   SimpleAnimated,
+  AnimatePresence,
   
   // Text components
   TextReveal,
   TypingText,
+  ScrambleText,
   
   // Interactive components
   AnimatedButton,
+  Draggable,
+  
+  // Layout components
+  LayoutGroup,
+  LayoutItem,
+  HorizontalScroll,
+  ScrollSections,
+  SmoothScroll,
+  
+  // Scroll components
+  ScrollTriggeredTimeline,
+  TimelineStep,
+  ScrollProgress,
   
   // Utility functions
   animations,
+  easings,
+  playback,
   
   // Library info
   version,
@@ -84,26 +142,58 @@ export default {
   // Context provider
   AnimationProvider,
   useAnimationSettings,
+  useAnimationQuality,
+  qualityTiers,
   
   // Hooks
   useAnimation,
   useAnimationEffect,
   useScrollTrigger,
+  usePresence,
+  useIsPresent,
+  useLayoutAnimation,
+  useVariants,
+  useDraggable,
+  useScrollProgress,
+  useMotionValue,
+  useTransform,
+  useMotionStyle,
+  useHorizontalScroll,
+  useParentTimeline,
+  useTimelineSegment,
+  useScrollSections,
   
   // Basic components
   FadeIn,
   SlideIn,
   SimpleAnimated,
+  AnimatePresence,
   
   // Text components
   TextReveal,
   TypingText,
+  ScrambleText,
   
   // Interactive components
   AnimatedButton,
+  Draggable,
+  
+  // Layout components
+  LayoutGroup,
+  LayoutItem,
+  HorizontalScroll,
+  ScrollSections,
+  SmoothScroll,
+  
+  // Scroll components
+  ScrollTriggeredTimeline,
+  TimelineStep,
+  ScrollProgress,
   
   // Utility functions
   animations,
+  easings,
+  playback,
   
   // Library info
   version,
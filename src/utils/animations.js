@@ -211,9 +211,34 @@ export const textReveal = (elements, options = {}) => {
   return tl;
 };
 
+// Properties that move, scale, rotate or skew an element
+const motionProps = [
+  'x', 'y', 'z', 'xPercent', 'yPercent',
+  'rotation', 'rotate', 'rotationX', 'rotateX', 'rotationY', 'rotateY', 'rotationZ', 'rotateZ',
+  'scale', 'scaleX', 'scaleY', 'skewX', 'skewY', 'transform'
+];
+
+/**
+ * Remove movement from animation properties for users who prefer reduced motion
+ * Opacity, colors and timing are kept, so the result is a crossfade in place.
+ * 
+ * @param {Object} vars - GSAP animation properties
+ * @returns {Object} Properties without transforms
+ */
+export const withoutMotion = (vars = {}) => {
+  const result = { ...vars };
+  
+  motionProps.forEach(prop => {
+    delete result[prop];
+  });
+  
+  return result;
+};
+
 export default {
   fadeIn,
   fadeOut,
   slideIn,
-  textReveal
+  textReveal,
+  withoutMotion
 };
\ No newline at end of file
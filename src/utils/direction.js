@@ -0,0 +1,32 @@
+/**
+ * Writing direction utilities
+ * Resolve the logical 'start' and 'end' directions against the computed
+ * direction of an element, so components flip for right-to-left text
+ */
+
+/**
+ * Check whether an element is laid out right-to-left
+ * Follows the inherited `dir` attribute and the CSS `direction` property.
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True for right-to-left
+ */
+export const isRTL = (element) => {
+  if (!element || typeof window === 'undefined') return false;
+  return window.getComputedStyle(element).direction === 'rtl';
+};
+
+/**
+ * Resolve a logical direction to a physical one
+ * @param {string} direction - 'start' or 'end'; physical directions are returned unchanged
+ * @param {boolean} rtl - Whether the element is laid out right-to-left
+ * @returns {string} 'left' or 'right' for logical directions, otherwise `direction`
+ */
+export const resolveDirection = (direction, rtl) => {
+  if (direction !== 'start' && direction !== 'end') return direction;
+  return (direction === 'start') !== rtl ? 'left' : 'right';
+};
+
+export default {
+  isRTL,
+  resolveDirection
+};
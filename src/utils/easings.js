@@ -23,4 +23,121 @@ export const smoothSteps = "steps(20)";
 // Custom
 export const softBounce = "power2.out";
 export const gentleElastic = "elastic.out(1, 0.2)";
-export const quickSnap = "power4.inOut";
\ No newline at end of file
+export const quickSnap = "power4.inOut";
+
+// Spring physics
+
+// Spring position is considered settled once it stays this close to the target
+const SPRING_REST_DELTA = 0.001;
+
+// Longest settle time searched for, in seconds
+const SPRING_MAX_DURATION = 10;
+
+/**
+ * Solve a damped spring moving from 0 to 1
+ * @param {Object} config - Spring configuration
+ * @returns {function} Position at a time in seconds
+ */
+const solveSpring = ({ stiffness, damping, mass, velocity }) => {
+  const naturalFrequency = Math.sqrt(stiffness / mass);
+  const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass));
+  
+  // Underdamped: oscillates around the target while settling
+  if (dampingRatio < 1) {
+    const dampedFrequency = naturalFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+    const sineCoefficient = (velocity - dampingRatio * naturalFrequency) / dampedFrequency;
+    
+    return (time) => 1 - Math.exp(-dampingRatio * naturalFrequency * time) * (
+      Math.cos(dampedFrequency * time) - sineCoefficient * Math.sin(dampedFrequency * time)
+    );
+  }
+  
+  // Critically damped: the fastest approach without overshooting
+  if (dampingRatio === 1) {
+    return (time) => 1 - Math.exp(-naturalFrequency * time) * (1 + (naturalFrequency - velocity) * time);
+  }
+  
+  // Overdamped: creeps towards the target
+  const root = naturalFrequency * Math.sqrt(dampingRatio * dampingRatio - 1);
+  const fastRate = -dampingRatio * naturalFrequency - root;
+  const slowRate = -dampingRatio * naturalFrequency + root;
+  const fastCoefficient = (velocity + slowRate) / (fastRate - slowRate);
+  const slowCoefficient = -1 - fastCoefficient;
+  
+  return (time) => 1 + fastCoefficient * Math.exp(fastRate * time) + slowCoefficient * Math.exp(slowRate * time);
+};
+
+/**
+ * Find how long a spring takes to come to rest
+ * @param {function} position - Spring position at a time in seconds
+ * @returns {number} Settle time in seconds
+ */
+const getSettleTime = (position) => {
+  const step = 1 / 240;
+  let settleTime = 0;
+  
+  for (let time = 0; time <= SPRING_MAX_DURATION; time += step) {
+    if (Math.abs(1 - position(time)) > SPRING_REST_DELTA) {
+      settleTime = time + step;
+    }
+  }
+  
+  return settleTime;
+};
+
+/**
+ * Create a physically based spring ease
+ * The result works anywhere a GSAP ease is accepted, e.g. `ease={spring()}`.
+ * It also carries `duration`, the spring's settle time in seconds, which
+ * components use when no duration is given, and `css`, a CSS `linear()`
+ * easing used by the CSS and Web Animations fallbacks.
+ *
+ * @param {Object} config - Spring configuration
+ * @param {number} config.stiffness - Spring stiffness (higher is snappier)
+ * @param {number} config.damping - Friction (lower oscillates more)
+ * @param {number} config.mass - Mass of the moving object (higher is slower)
+ * @param {number} config.velocity - Initial velocity towards the target, in distances per second
+ * @returns {function} Ease function with duration and css properties
+ */
+export const spring = (config = {}) => {
+  const {
+    stiffness = 100,
+    damping = 10,
+    mass = 1,
+    velocity = 0
+  } = config;
+  
+  const position = solveSpring({ stiffness, damping, mass, velocity });
+  const duration = Math.max(getSettleTime(position), 0.01);
+  
+  const ease = (progress) => (progress >= 1 ? 1 : position(progress * duration));
+  
+  // Roughly one point per frame, enough for linear() to trace the curve
+  const pointCount = Math.min(Math.max(Math.ceil(duration * 60), 10), 120);
+  const points = [];
+  
+  for (let i = 0; i <= pointCount; i++) {
+    points.push(Number(ease(i / pointCount).toFixed(4)));
+  }
+  
+  ease.duration = Number(duration.toFixed(3));
+  ease.css = `linear(${points.join(', ')})`;
+  
+  return ease;
+};
+
+/**
+ * Get the duration an ease implies, if any
+ * @param {string|function} ease - GSAP ease string or function
+ * @param {number} fallback - Duration to use when the ease has none
+ * @returns {number} Duration in seconds
+ */
+export const getEaseDuration = (ease, fallback) => {
+  return ease && typeof ease.duration === 'number' ? ease.duration : fallback;
+};
+
+// Spring presets
+export const gentleSpring = spring({ stiffness: 120, damping: 14 });
+export const wobblySpring = spring({ stiffness: 180, damping: 12 });
+export const stiffSpring = spring({ stiffness: 260, damping: 20 });
+export const slowSpring = spring({ stiffness: 280, damping: 60 });
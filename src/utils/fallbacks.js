@@ -201,10 +201,15 @@ export const injectCSSKeyframes = () => {
 
 /**
  * Maps GSAP easing functions to CSS equivalents
- * @param {string} gsapEase - GSAP easing function name
+ * Spring eases map to their CSS `linear()` curve where the browser supports it
+ * @param {string|function} gsapEase - GSAP easing function name or spring ease
  * @returns {string} CSS easing equivalent
  */
 export const mapEasing = (gsapEase = 'power2.out') => {
+  if (typeof gsapEase === 'function') {
+    return gsapEase.css && canUseLinearEasing() ? gsapEase.css : 'ease-out';
+  }
+  
   const easingMap = {
     'none': 'linear',
     'power1.in': 'cubic-bezier(0.550, 0.085, 0.680, 0.530)',
@@ -290,6 +295,21 @@ export const getAnimationName = (props) => {
   return 'fadeIn'; // Default fallback
 };
 
+/**
+ * Builds a CSS transform from GSAP-like transform properties
+ * Numeric x and y values are treated as pixels and rotate as degrees. Every
+ * transform function is always included so the browser can interpolate
+ * between any two results.
+ * @param {Object} props - Transform properties (x, y, scale, rotate)
+ * @returns {string} CSS transform value
+ */
+export const getCssTransform = (props = {}) => {
+  const { x = 0, y = 0, scale = 1, rotate = 0 } = props;
+  const withUnit = (value, unit) => (typeof value === 'number' ? `${value}${unit}` : value);
+  
+  return `translate(${withUnit(x, 'px')}, ${withUnit(y, 'px')}) scale(${scale}) rotate(${withUnit(rotate, 'deg')})`;
+};
+
 /**
  * Applies CSS animation styles to an element
  * @param {HTMLElement} element - DOM element to animate
@@ -374,6 +394,16 @@ export const canUseWebAnimation = () => {
   });
 };
 
+/**
+ * Tests if the CSS linear() easing function is supported
+ * @returns {boolean} Whether linear() easing is supported
+ */
+export const canUseLinearEasing = () => {
+  return canUseFeature(() => {
+    return typeof CSS !== 'undefined' && CSS.supports('transition-timing-function', 'linear(0, 1)');
+  });
+};
+
 /**
  * Tests if ScrollTrigger is available
  * @returns {boolean} Whether ScrollTrigger is available
@@ -403,9 +433,11 @@ export default {
   injectCSSKeyframes,
   mapEasing,
   getAnimationName,
+  getCssTransform,
   applyCssAnimation,
   canUseGSAP,
   canUseWebAnimation,
+  canUseLinearEasing,
   canUseScrollTrigger,
   canUseIntersectionObserver
 };
@@ -0,0 +1,177 @@
+import { useRef, useEffect } from 'react';
+import gsap from 'gsap';
+
+/**
+ * Create a motion value
+ * A motion value holds a single changing value, such as scroll progress, and
+ * tells its subscribers when it changes without re-rendering React.
+ *
+ * @param {*} initial - Initial value
+ * @returns {Object} Motion value with get, set and subscribe
+ */
+export const createMotionValue = (initial) => {
+  let current = initial;
+  const listeners = new Set();
+  
+  return {
+    /**
+     * Read the current value
+     * @returns {*} Current value
+     */
+    get: () => current,
+    
+    /**
+     * Change the value and notify subscribers
+     * @param {*} value - New value
+     */
+    set: (value) => {
+      if (value === current) return;
+      
+      current = value;
+      listeners.forEach(listener => listener(current));
+    },
+    
+    /**
+     * Listen for changes
+     * @param {function} listener - Called with the new value
+     * @returns {function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+/**
+ * Check whether something is a motion value
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a motion value
+ */
+export const isMotionValue = (value) => {
+  return !!value && typeof value.get === 'function' && typeof value.subscribe === 'function';
+};
+
+/**
+ * Create a function that maps an input range onto an output range
+ * Outputs can be numbers, colors or strings containing numbers ('10px', '50%').
+ * @param {number[]} inputRange - Ascending input values
+ * @param {Array} outputRange - Output values, one per input value
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.clamp - Keep the output within the output range (defaults to true)
+ * @param {string|function} options.ease - GSAP ease applied within each segment
+ * @returns {function} Mapping function
+ */
+export const createMapper = (inputRange, outputRange, options = {}) => {
+  const { clamp = true, ease } = options;
+  const easeFunction = ease ? gsap.parseEase(ease) : null;
+  const lastIndex = inputRange.length - 1;
+  
+  return (input) => {
+    // Find the segment of the input range the input falls in
+    let index = 1;
+    while (index < lastIndex && input > inputRange[index]) index++;
+    
+    const from = inputRange[index - 1];
+    const to = inputRange[index];
+    let progress = to === from ? 1 : (input - from) / (to - from);
+    
+    if (clamp) progress = Math.min(Math.max(progress, 0), 1);
+    if (easeFunction) progress = easeFunction(progress);
+    
+    return gsap.utils.interpolate(outputRange[index - 1], outputRange[index], progress);
+  };
+};
+
+/**
+ * Hook for creating a motion value that lives as long as the component
+ * @param {*} initial - Initial value
+ * @returns {Object} Motion value
+ */
+export const useMotionValue = (initial) => {
+  const valueRef = useRef(null);
+  
+  if (!valueRef.current) {
+    valueRef.current = createMotionValue(initial);
+  }
+  
+  return valueRef.current;
+};
+
+/**
+ * Hook for deriving a motion value from another one
+ * Maps the source through ranges, e.g. useTransform(progress, [0, 1], [0, 360]),
+ * or through a function, e.g. useTransform(progress, p => p * 100).
+ *
+ * @param {Object} value - Source motion value
+ * @param {number[]|function} inputRange - Ascending input values, or a transform function
+ * @param {Array} outputRange - Output values, one per input value
+ * @param {Object} options - Mapping options (clamp, ease), see createMapper
+ * @returns {Object} Derived motion value
+ */
+export const useTransform = (value, inputRange, outputRange, options = {}) => {
+  const transform = typeof inputRange === 'function'
+    ? inputRange
+    : createMapper(inputRange, outputRange, options);
+  
+  // Subscribers always use the ranges from the latest render
+  const transformRef = useRef(transform);
+  transformRef.current = transform;
+  
+  const derived = useMotionValue(transform(value.get()));
+  
+  useEffect(() => {
+    derived.set(transformRef.current(value.get()));
+    return value.subscribe(latest => derived.set(transformRef.current(latest)));
+  }, [value, String(inputRange), String(outputRange), options.clamp, options.ease]);
+  
+  return derived;
+};
+
+/**
+ * Hook for binding motion values to an element's style
+ * Each motion value is applied with gsap.set whenever it changes, so any GSAP
+ * property works (opacity, scale, rotation, backgroundColor, x, ...).
+ *
+ * @param {React.RefObject} elementRef - Reference to the element to style
+ * @param {Object} styles - GSAP properties mapped to motion values or static values
+ */
+export const useMotionStyle = (elementRef, styles = {}) => {
+  // Keep the same styles object while its properties and values are unchanged,
+  // so the bindings are only redone when one of them changes
+  const stylesRef = useRef(styles);
+  const previous = stylesRef.current;
+  const keys = Object.keys(styles);
+  
+  if (keys.length !== Object.keys(previous).length || keys.some(key => styles[key] !== previous[key])) {
+    stylesRef.current = styles;
+  }
+  
+  const stableStyles = stylesRef.current;
+  
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element) return;
+    
+    const unsubscribes = Object.entries(stableStyles).map(([property, value]) => {
+      if (!isMotionValue(value)) {
+        gsap.set(element, { [property]: value });
+        return () => {};
+      }
+      
+      gsap.set(element, { [property]: value.get() });
+      return value.subscribe(latest => gsap.set(element, { [property]: latest }));
+    });
+    
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [elementRef, stableStyles]);
+};
+
+export default {
+  createMotionValue,
+  isMotionValue,
+  createMapper,
+  useMotionValue,
+  useTransform,
+  useMotionStyle
+};
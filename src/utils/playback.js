@@ -0,0 +1,268 @@
+import gsap from 'gsap';
+
+/**
+ * Create a playback controller
+ * Library components register their GSAP tweens, timelines and contexts with
+ * `track`, and run per-frame work through `addLoop`, so all of them can be
+ * paused, resumed or slowed down together. Contexts are dropped as soon as
+ * they are reverted. Frame loops share gsap.ticker, so the page runs a
+ * single frame loop, and sleep while their element is out of view or the
+ * document is hidden.
+ *
+ * @returns {Object} Playback controller
+ */
+export const createPlaybackController = () => {
+  const tracked = new Set();
+  const held = new Set();
+  const loops = new Set();
+  const listeners = new Set();
+  
+  let paused = false;
+  let timeScale = 1;
+  let ticking = false;
+  let enforcing = false;
+  let observer = null;
+  let documentHidden = typeof document !== 'undefined' && document.hidden;
+  
+  // Top-level animations owned by the tracked tweens, timelines and contexts
+  const collect = (item, result) => {
+    if (!item) return result;
+    
+    if (typeof item.getTweens === 'function') {
+      // GSAP context: everything created inside it, until the owner reverts it on unmount
+      if (item.isReverted) {
+        tracked.delete(item);
+      } else {
+        item.data.forEach(child => collect(child, result));
+      }
+    } else if (typeof item.timeScale === 'function' && (!item.parent || item.parent === gsap.globalTimeline)) {
+      result.push(item);
+    }
+    
+    return result;
+  };
+  
+  const getAnimations = () => {
+    const result = [];
+    tracked.forEach(item => collect(item, result));
+    return result;
+  };
+  
+  // Bring every tracked animation in line with the current state
+  const apply = () => {
+    getAnimations().forEach(animation => {
+      if (animation.timeScale() !== timeScale) {
+        animation.timeScale(timeScale);
+      }
+      
+      // Hold animations that are running, including ones started while paused
+      if (paused && !animation.paused() && animation.progress() < 1) {
+        animation.pause();
+        held.add(animation);
+      }
+    });
+  };
+  
+  // Re-apply on every GSAP tick while the state differs from normal playback
+  const updateEnforcement = () => {
+    const shouldEnforce = paused || timeScale !== 1;
+    
+    if (shouldEnforce && !enforcing) {
+      gsap.ticker.add(apply);
+    } else if (!shouldEnforce && enforcing) {
+      gsap.ticker.remove(apply);
+    }
+    
+    enforcing = shouldEnforce;
+  };
+  
+  const notify = () => {
+    const state = { paused, timeScale };
+    listeners.forEach(listener => listener(state));
+  };
+  
+  // A loop sleeps while its element is out of view, the document is hidden or playback is paused
+  const isAwake = (loop) => {
+    return loop.inView && !documentHidden && (!paused || !loop.pausable);
+  };
+  
+  // Shared frame callback for every loop, run by gsap.ticker
+  const runLoops = (time, deltaTime) => {
+    loops.forEach(loop => {
+      if (isAwake(loop)) {
+        loop.callback(loop.pausable ? deltaTime * timeScale : deltaTime, time * 1000);
+      }
+    });
+  };
+  
+  // Only listen to the ticker while at least one loop is awake
+  const updateTicker = () => {
+    const shouldTick = Array.from(loops).some(isAwake);
+    
+    if (shouldTick && !ticking) {
+      gsap.ticker.add(runLoops);
+    } else if (!shouldTick && ticking) {
+      gsap.ticker.remove(runLoops);
+    }
+    
+    ticking = shouldTick;
+  };
+  
+  const handleVisibilityChange = () => {
+    documentHidden = document.hidden;
+    updateTicker();
+  };
+  
+  // One observer for the elements of every loop
+  const getObserver = () => {
+    if (!observer && typeof IntersectionObserver !== 'undefined') {
+      observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          loops.forEach(loop => {
+            if (loop.element === entry.target) {
+              loop.inView = entry.isIntersecting;
+            }
+          });
+        });
+        
+        updateTicker();
+      });
+    }
+    
+    return observer;
+  };
+  
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  
+  return {
+    /**
+     * Register a tween, timeline or GSAP context (tracking the same one twice is a no-op)
+     * @param {Object} animation - Animation or context to control
+     * @returns {function} Unregister function
+     */
+    track: (animation) => {
+      if (!animation) return () => {};
+      
+      tracked.add(animation);
+      
+      const untrack = () => {
+        tracked.delete(animation);
+      };
+      
+      // A GSAP context untracks itself when it is reverted
+      if (typeof animation.getTweens === 'function' && !animation.isReverted) {
+        animation.add(() => untrack);
+      }
+      
+      if (paused || timeScale !== 1) {
+        apply();
+      }
+      
+      return untrack;
+    },
+    
+    /**
+     * Run a callback on every frame until removed
+     * The callback receives the frame's delta time in milliseconds (scaled by
+     * the time scale) and the frame time in milliseconds.
+     * @param {function} callback - Frame callback
+     * @param {Object} options - Loop options
+     * @param {HTMLElement} options.element - Sleep while this element is out of view
+     * @param {boolean} options.pausable - Whether pauseAll and setTimeScale apply (defaults to true)
+     * @returns {function} Remove function
+     */
+    addLoop: (callback, options = {}) => {
+      const { element, pausable = true } = options;
+      const loop = { callback, element, pausable, inView: true };
+      const elementObserver = element ? getObserver() : null;
+      
+      loops.add(loop);
+      
+      if (elementObserver) {
+        elementObserver.observe(element);
+      }
+      
+      updateTicker();
+      
+      return () => {
+        loops.delete(loop);
+        
+        // Stop observing once no other loop uses the element
+        if (elementObserver && !Array.from(loops).some(other => other.element === element)) {
+          elementObserver.unobserve(element);
+        }
+        
+        updateTicker();
+      };
+    },
+    
+    /**
+     * Pause every tracked animation and frame loop
+     */
+    pauseAll: () => {
+      if (paused) return;
+      
+      paused = true;
+      apply();
+      updateEnforcement();
+      updateTicker();
+      notify();
+    },
+    
+    /**
+     * Resume the animations paused by pauseAll
+     */
+    resumeAll: () => {
+      if (!paused) return;
+      
+      paused = false;
+      held.forEach(animation => animation.resume());
+      held.clear();
+      updateEnforcement();
+      updateTicker();
+      notify();
+    },
+    
+    /**
+     * Jump the animations held by pauseAll to a progress
+     * @param {number} progress - Progress between 0 and 1
+     */
+    seekAll: (progress) => {
+      held.forEach(animation => animation.progress(progress));
+    },
+    
+    /**
+     * Speed up or slow down every tracked animation and frame loop
+     * @param {number} scale - Time scale (1 is normal speed)
+     */
+    setTimeScale: (scale) => {
+      timeScale = scale;
+      apply();
+      updateEnforcement();
+      notify();
+    },
+    
+    isPaused: () => paused,
+    
+    getTimeScale: () => timeScale,
+    
+    /**
+     * Listen for playback changes
+     * @param {function} listener - Called with { paused, timeScale }
+     * @returns {function} Unsubscribe function
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+/**
+ * Library-wide playback controller
+ */
+export const playback = createPlaybackController();
+
+export default playback;
@@ -0,0 +1,61 @@
+/**
+ * Scroll container utilities
+ * Resolve the `scroller` prop (and the provider's default) to the container
+ * ScrollTrigger should watch
+ */
+
+/**
+ * Find the nearest ancestor that scrolls vertically
+ * @param {HTMLElement} element - Element to start from
+ * @returns {HTMLElement|undefined} Scrollable ancestor, or undefined for the window
+ */
+export const getScrollParent = (element) => {
+  let parent = element ? element.parentElement : null;
+  
+  while (parent && parent !== document.body && parent !== document.documentElement) {
+    const { overflowY } = window.getComputedStyle(parent);
+    if (overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay') return parent;
+    
+    parent = parent.parentElement;
+  }
+  
+  return undefined;
+};
+
+/**
+ * Resolve a scroller to something ScrollTrigger accepts
+ * Selectors are passed through. A ref to an ancestor is only attached after
+ * its children have mounted, so until then the nearest scrollable ancestor
+ * of `element` stands in for it.
+ *
+ * @param {React.RefObject|HTMLElement|string} scroller - Ref, element or selector (null for the window)
+ * @param {HTMLElement} element - Element the ScrollTrigger is created for
+ * @returns {HTMLElement|string|undefined} Scroller for ScrollTrigger, or undefined for the window
+ */
+export const resolveScroller = (scroller, element) => {
+  if (!scroller) return undefined;
+  if (typeof scroller === 'string') return scroller;
+  
+  if ('current' in scroller) {
+    return scroller.current || getScrollParent(element);
+  }
+  
+  return scroller;
+};
+
+/**
+ * Get the element a scroller refers to
+ * @param {React.RefObject|HTMLElement|string} scroller - Ref, element or selector (null for the window)
+ * @param {HTMLElement} element - Element the ScrollTrigger is created for
+ * @returns {HTMLElement|undefined} Scroll container, or undefined for the window
+ */
+export const getScrollerElement = (scroller, element) => {
+  const resolved = resolveScroller(scroller, element);
+  return typeof resolved === 'string' ? document.querySelector(resolved) || undefined : resolved;
+};
+
+export default {
+  getScrollParent,
+  resolveScroller,
+  getScrollerElement
+};
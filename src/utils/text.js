@@ -0,0 +1,127 @@
+/**
+ * Text segmentation utilities
+ * Split text into user-perceived characters and words with Intl.Segmenter,
+ * falling back to simpler rules where it is not available
+ */
+
+/**
+ * Inline styles for text that screen readers read but is not shown, for
+ * components that animate a copy of their text hidden from assistive technology
+ */
+export const visuallyHiddenStyle = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+const segmenters = {};
+
+const getSegmenter = (granularity) => {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  
+  if (!segmenters[granularity]) {
+    segmenters[granularity] = new Intl.Segmenter(undefined, { granularity });
+  }
+  
+  return segmenters[granularity];
+};
+
+// Code points that belong to the character before them: combining marks, the
+// zero-width joiner, variation selectors, emoji skin tones and flag tags.
+// Built at runtime so engines without Unicode property escapes get a smaller set.
+const extendPattern = (() => {
+  try {
+    return new RegExp('^[\\p{M}\\u200D\\uFE00-\\uFE0F\\u{1F3FB}-\\u{1F3FF}\\u{E0020}-\\u{E007F}]$', 'u');
+  } catch (error) {
+    return /^[\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF\u20D0-\u20FF\u200D\uFE00-\uFE0F\uFE20-\uFE2F]$/;
+  }
+})();
+
+const isRegionalIndicator = (char) => {
+  const codePoint = char.codePointAt(0);
+  return codePoint >= 0x1F1E6 && codePoint <= 0x1F1FF;
+};
+
+// Han, Hiragana and Katakana break between any two characters; trailing
+// CJK punctuation stays with the character before it
+const cjkPattern = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF][\u3000-\u303F\uFF00-\uFFEF]*|[^\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]+/g;
+
+// Runs of punctuation only, which attach to a word instead of standing alone
+const punctuationPattern = /^[\u3000-\u303F\uFF00-\uFFEF!-/:-@[-`{-~]+$/;
+
+/**
+ * Split text into grapheme clusters, so emoji, accented letters and flags
+ * stay whole
+ * @param {string} text - Text to split
+ * @returns {string[]} User-perceived characters
+ */
+export const splitGraphemes = (text) => {
+  const segmenter = getSegmenter('grapheme');
+  if (segmenter) return Array.from(segmenter.segment(text), ({ segment }) => segment);
+  
+  const graphemes = [];
+  let afterJoiner = false;
+  
+  Array.from(text).forEach(char => {
+    const last = graphemes[graphemes.length - 1];
+    
+    // Regional indicators pair up into flags
+    const completesFlag = last !== undefined && isRegionalIndicator(char) &&
+      Array.from(last).length === 1 && isRegionalIndicator(last);
+    
+    if (last !== undefined && (afterJoiner || completesFlag || extendPattern.test(char))) {
+      graphemes[graphemes.length - 1] += char;
+    } else {
+      graphemes.push(char);
+    }
+    
+    afterJoiner = char === '\u200D';
+  });
+  
+  return graphemes;
+};
+
+/**
+ * Split a run of text without whitespace into words
+ * Scripts written without spaces (Chinese, Japanese, Thai) are split where a
+ * line may break. Punctuation stays attached to the neighbouring word so it
+ * never ends up alone at the start of a line.
+ * @param {string} text - Text without whitespace
+ * @returns {string[]} Words
+ */
+export const splitWords = (text) => {
+  const segmenter = getSegmenter('word');
+  const segments = segmenter
+    ? Array.from(segmenter.segment(text), ({ segment, isWordLike }) => ({ segment, isWordLike }))
+    : (text.match(cjkPattern) || []).map(segment => ({ segment, isWordLike: !punctuationPattern.test(segment) }));
+  
+  const words = [];
+  let leading = '';
+  
+  segments.forEach(({ segment, isWordLike }) => {
+    if (isWordLike) {
+      words.push(leading + segment);
+      leading = '';
+    } else if (words.length > 0) {
+      words[words.length - 1] += segment;
+    } else {
+      leading += segment;
+    }
+  });
+  
+  if (leading) words.push(leading);
+  
+  return words;
+};
+
+export default {
+  splitGraphemes,
+  splitWords,
+  visuallyHiddenStyle
+};
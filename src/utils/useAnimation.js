@@ -1,8 +1,12 @@
-import { useRef } from 'react';
+import { useRef, useEffect } from 'react';
 import { useGSAP } from '@gsap/react';
 import gsap from 'gsap';
 import ScrollTrigger from 'gsap/ScrollTrigger';
 import { useAnimationSettings } from '../context/AnimationContext';
+import { withoutMotion } from './animations';
+import { playback } from './playback';
+import { getEaseDuration } from './easings';
+import { resolveScroller } from './scroller';
 
 // Make sure GSAP plugins are registered
 if (typeof window !== 'undefined') {
@@ -22,7 +26,7 @@ if (typeof window !== 'undefined') {
  * @returns {Object} Animation utilities including tween, timeline, and contextSafe
  */
 export const useAnimation = (options = {}) => {
-  const { disableAllAnimations } = useAnimationSettings();
+  const { disableAllAnimations, defaultDuration, defaultEase } = useAnimationSettings();
   const containerRef = options.scope || useRef(null);
   
   const { 
@@ -30,20 +34,36 @@ export const useAnimation = (options = {}) => {
     context,
     revert,
     kill 
-  } = useGSAP({
-    scope: containerRef
-  });
+  } = useGSAP(containerRef);
   
-  // Create a timeline within the current GSAP context
+  // Let the playback controller pause and resume everything created here
+  useEffect(() => playback.track(context), [context]);
+  
+  // Create a timeline within the current GSAP context, using the provider's defaults for its children
   const timeline = (timelineOptions = {}) => {
     if (disableAllAnimations) return gsap.timeline();
-    return gsap.timeline(timelineOptions, context);
+    
+    const defaults = timelineOptions.defaults || {};
+    
+    return context.add(() => gsap.timeline({
+      ...timelineOptions,
+      defaults: {
+        duration: getEaseDuration(defaults.ease, defaultDuration),
+        ease: defaultEase,
+        ...defaults
+      }
+    }));
   };
   
   // Create a tween within the current GSAP context
   const tween = (targets, vars) => {
     if (disableAllAnimations) return { kill: () => {} };
-    return gsap.to(targets, vars, context);
+    // Spring eases bring their own settle time as the default duration
+    return context.add(() => gsap.to(targets, {
+      duration: getEaseDuration(vars.ease, defaultDuration),
+      ease: defaultEase,
+      ...vars
+    }));
   };
   
   // Add animation to a timeline
@@ -71,30 +91,47 @@ export const useAnimation = (options = {}) => {
  * @param {Object} options - Animation options
  * @param {string} options.effect - Animation effect ('fadeIn', 'fadeOut', 'slideIn', etc.)
  * @param {string} options.direction - Animation direction ('up', 'down', 'left', 'right')
- * @param {number} options.duration - Animation duration in seconds
- * @param {number} options.delay - Delay before animation starts in seconds
- * @param {string} options.ease - GSAP easing function
+ * @param {number} options.duration - Animation duration in seconds (defaults to a spring ease's settle time, otherwise the provider's defaultDuration)
+ * @param {number} options.delay - Delay before animation starts in seconds (defaults to the provider's defaultDelay)
+ * @param {string|function} options.ease - GSAP easing function (defaults to the provider's defaultEase)
  * @param {string} options.trigger - Animation trigger ('load', 'scroll', 'none')
  * @param {number} options.threshold - Viewport threshold for scroll animations (0-1)
+ * @param {React.RefObject|string} options.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @param {string} options.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  * @returns {Object} Animation utilities
  */
 export const useAnimationEffect = (elementRef, options = {}) => {
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultDelay,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(options.reducedMotion);
+  
   const { 
     effect = 'fadeIn',
     direction = 'up',
-    distance = 30,
-    duration = 0.8,
-    delay = 0,
-    ease = 'power3.out',
+    distance: baseDistance = 30,
+    ease = defaultEase,
+    duration = getEaseDuration(ease, defaultDuration),
+    delay = defaultDelay,
     trigger = 'scroll',
     threshold = 0.2,
+    scroller = defaultScroller,
     onComplete
   } = options;
   
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  // Crossfade in place for users who prefer reduced motion
+  const distance = shouldReduceMotion ? 0 : baseDistance;
   
   // Use GSAP's useGSAP for proper context management
-  useGSAP(() => {
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
     if (!elementRef?.current || disableAllAnimations || (trigger === 'scroll' && disableScrollAnimations)) {
       return;
     }
@@ -178,27 +215,26 @@ export const useAnimationEffect = (elementRef, options = {}) => {
       
       ScrollTrigger.create({
         trigger: elementRef.current,
+        scroller: resolveScroller(scroller, elementRef.current),
         start: `top bottom-=${threshold * 100}%`,
         onEnter: () => animation.play(),
         once: true
       });
     }
     
-  }, { 
-    scope: elementRef, 
-    dependencies: [
-      effect, 
-      direction, 
-      distance, 
-      duration, 
-      delay, 
-      ease, 
-      trigger, 
-      threshold,
-      disableAllAnimations,
-      disableScrollAnimations
-    ] 
-  });
+  }, [
+    effect, 
+    direction, 
+    distance, 
+    duration, 
+    delay, 
+    ease, 
+    trigger, 
+    threshold,
+    scroller,
+    disableAllAnimations,
+    disableScrollAnimations
+  ], elementRef);
   
   return {
     ref: elementRef
@@ -218,6 +254,8 @@ export const useAnimationEffect = (elementRef, options = {}) => {
  * @param {boolean} options.markers - Show debug markers
  * @param {boolean} options.pin - Pin the element during animation
  * @param {string} options.toggleActions - ScrollTrigger toggle actions
+ * @param {React.RefObject|string} options.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @param {string} options.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
  * @returns {Object} ScrollTrigger utilities
  */
 export const useScrollTrigger = (elementRef, options = {}) => {
@@ -233,19 +271,35 @@ export const useScrollTrigger = (elementRef, options = {}) => {
     onEnter,
     onLeave,
     onEnterBack,
-    onLeaveBack
+    onLeaveBack,
+    reducedMotion
   } = options;
   
-  const { disableAllAnimations, disableScrollAnimations } = useAnimationSettings();
+  const {
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultEase,
+    scroller: defaultScroller,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  const { scroller = defaultScroller } = options;
   
-  useGSAP(() => {
+  // Keep opacity and colors but drop movement for users who prefer reduced motion
+  const adjustMotion = (vars) => (shouldReduceMotion ? withoutMotion(vars) : vars);
+  
+  useGSAP((context) => {
+    // Let the playback controller pause and resume everything created here
+    playback.track(context);
+    
     if (!elementRef?.current || disableAllAnimations || disableScrollAnimations) {
       return;
     }
     
     // Set initial state if provided
     if (initial) {
-      gsap.set(elementRef.current, initial);
+      gsap.set(elementRef.current, adjustMotion(initial));
     }
     
     // Create animation
@@ -254,13 +308,17 @@ export const useScrollTrigger = (elementRef, options = {}) => {
     if (typeof animation === 'function') {
       tween = animation(elementRef.current);
     } else if (animation) {
-      tween = gsap.to(elementRef.current, animation);
+      tween = gsap.to(elementRef.current, {
+        duration: getEaseDuration(animation.ease, defaultDuration),
+        ease: defaultEase,
+        ...adjustMotion(animation)
+      });
     } else {
-      tween = gsap.to(elementRef.current, { 
+      tween = gsap.to(elementRef.current, adjustMotion({ 
         opacity: 1, 
         y: 0, 
         duration: 1 
-      });
+      }));
     }
     
     // Pause animation if not in scrub mode
@@ -271,6 +329,7 @@ export const useScrollTrigger = (elementRef, options = {}) => {
     // Create scroll trigger
     ScrollTrigger.create({
       trigger: elementRef.current,
+      scroller: resolveScroller(scroller, elementRef.current),
       start,
       end,
       markers,
@@ -283,21 +342,22 @@ export const useScrollTrigger = (elementRef, options = {}) => {
       onLeaveBack
     });
     
-  }, { 
-    scope: elementRef,
-    dependencies: [
-      JSON.stringify(animation),
-      JSON.stringify(initial),
-      start,
-      end,
-      scrub,
-      markers,
-      pin,
-      toggleActions,
-      disableAllAnimations,
-      disableScrollAnimations
-    ]
-  });
+  }, [
+    JSON.stringify(animation),
+    JSON.stringify(initial),
+    start,
+    end,
+    scrub,
+    markers,
+    pin,
+    toggleActions,
+    scroller,
+    disableAllAnimations,
+    disableScrollAnimations,
+    defaultDuration,
+    defaultEase,
+    shouldReduceMotion
+  ], elementRef);
   
   return {
     ref: elementRef
@@ -0,0 +1,372 @@
+import { useRef, useState, useEffect } from 'react';
+import gsap from 'gsap';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { playback } from './playback';
+
+// Seconds of release velocity carried into the throw
+const INERTIA_POWER = 0.3;
+
+// Only the most recent pointer samples count towards the release velocity
+const VELOCITY_WINDOW = 100;
+
+// Pixels a pointer has to travel before the axis is locked
+const LOCK_THRESHOLD = 4;
+
+/**
+ * Clamp a position to drag bounds
+ * @param {Object} point - Position with x and y
+ * @param {Object} limits - Limits with minX, maxX, minY and maxY (null for unbounded)
+ * @returns {Object} Clamped position
+ */
+const clampPoint = (point, limits) => {
+  if (!limits) return point;
+  
+  return {
+    x: Math.min(Math.max(point.x, limits.minX), limits.maxX),
+    y: Math.min(Math.max(point.y, limits.minY), limits.maxY)
+  };
+};
+
+/**
+ * Find the snap point for a position
+ * @param {Object} point - Position with x and y
+ * @param {number[]|Object[]|function} snap - Values snapped per axis, points, or a function returning a point
+ * @param {string} axis - Axis being dragged ('x', 'y', 'both')
+ * @returns {Object} Snapped position
+ */
+const snapPoint = (point, snap, axis) => {
+  if (!snap) return point;
+  
+  if (typeof snap === 'function') {
+    return { ...point, ...snap(point) };
+  }
+  
+  if (snap.length === 0) return point;
+  
+  const closest = (value) => snap.reduce((best, candidate) => {
+    return Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best;
+  });
+  
+  // Plain numbers snap each dragged axis on its own
+  if (typeof snap[0] === 'number') {
+    return {
+      x: axis === 'y' ? point.x : closest(point.x),
+      y: axis === 'x' ? point.y : closest(point.y)
+    };
+  }
+  
+  return snap.reduce((best, candidate) => {
+    const candidatePoint = { ...point, ...candidate };
+    const distance = Math.hypot(candidatePoint.x - point.x, candidatePoint.y - point.y);
+    return distance < best.distance ? { point: candidatePoint, distance } : best;
+  }, { point, distance: Infinity }).point;
+};
+
+/**
+ * Hook for dragging an element with pointer events (mouse, touch and pen)
+ * The element moves through GSAP's x and y transforms. On release it keeps
+ * its momentum, comes to rest inside the bounds and settles on the nearest
+ * snap point.
+ *
+ * @param {React.RefObject} elementRef - Reference to the element to drag
+ * @param {Object} options - Drag options
+ * @param {string} options.axis - Axis to drag along ('x', 'y', 'both')
+ * @param {boolean} options.lockAxis - Lock to the direction of the first movement of each drag
+ * @param {React.RefObject|Object} options.bounds - Element to stay inside, or a rect of offsets ({ left, right, top, bottom })
+ * @param {boolean} options.inertia - Keep moving with the release velocity
+ * @param {number[]|Object[]|function} options.snap - Values snapped per axis, points ({ x, y }), or a function returning a point
+ * @param {string} options.ease - GSAP easing function for the release animation
+ * @param {boolean} options.disabled - Ignore pointer input
+ * @param {string} options.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {function} options.onDragStart - Callback with drag info when a drag starts
+ * @param {function} options.onDrag - Callback with drag info on every move
+ * @param {function} options.onDragEnd - Callback with drag info on release, before the release animation
+ * @param {function} options.onDragSettle - Callback with drag info once the element comes to rest
+ * @returns {Object} Drag state and controls
+ */
+export const useDraggable = (elementRef, options = {}) => {
+  const {
+    axis = 'both',
+    disabled = false,
+    reducedMotion
+  } = options;
+  
+  const [isDragging, setIsDragging] = useState(false);
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
+  
+  // Pointer listeners read the latest options without being re-attached
+  const optionsRef = useRef(options);
+  optionsRef.current = {
+    ...options,
+    // Throws jump straight to their resting point for users who prefer reduced motion
+    instant: disableAllAnimations || shouldReduceMotion
+  };
+  
+  const releaseTweenRef = useRef(null);
+  
+  const getPosition = () => {
+    const element = elementRef.current;
+    
+    return {
+      x: parseFloat(gsap.getProperty(element, 'x')) || 0,
+      y: parseFloat(gsap.getProperty(element, 'y')) || 0
+    };
+  };
+  
+  // Translate bounds into limits for the x and y transforms
+  const getLimits = () => {
+    const { bounds } = optionsRef.current;
+    const element = elementRef.current;
+    
+    if (!bounds || !element) return null;
+    
+    if (bounds.current !== undefined) {
+      if (!bounds.current) return null;
+      
+      const position = getPosition();
+      const box = element.getBoundingClientRect();
+      const container = bounds.current.getBoundingClientRect();
+      
+      return {
+        minX: position.x + container.left - box.left,
+        maxX: position.x + container.right - box.right,
+        minY: position.y + container.top - box.top,
+        maxY: position.y + container.bottom - box.bottom
+      };
+    }
+    
+    return {
+      minX: bounds.left !== undefined ? bounds.left : -Infinity,
+      maxX: bounds.right !== undefined ? bounds.right : Infinity,
+      minY: bounds.top !== undefined ? bounds.top : -Infinity,
+      maxY: bounds.bottom !== undefined ? bounds.bottom : Infinity
+    };
+  };
+  
+  /**
+   * Move the element to a position
+   * @param {Object} point - Position with x and/or y
+   * @param {Object} vars - GSAP tween vars for the move (pass { duration: 0 } to jump)
+   * @returns {Object} GSAP tween
+   */
+  const moveTo = (point, vars = {}) => {
+    if (!elementRef.current) return null;
+    
+    if (releaseTweenRef.current) {
+      releaseTweenRef.current.kill();
+    }
+    
+    const { ease = 'power3.out', instant } = optionsRef.current;
+    
+    // Controllable by the playback controller until it finishes or is killed,
+    // while still calling the callbacks passed in vars
+    let untrack = () => {};
+    
+    const tween = gsap.to(elementRef.current, {
+      ...point,
+      duration: instant ? 0 : 0.4,
+      ease,
+      ...vars,
+      onComplete: function(...args) {
+        untrack();
+        if (vars.onComplete) vars.onComplete.apply(this, args);
+      },
+      onInterrupt: function(...args) {
+        untrack();
+        if (vars.onInterrupt) vars.onInterrupt.apply(this, args);
+      }
+    });
+    
+    releaseTweenRef.current = tween;
+    
+    // Instant moves complete as soon as they are created
+    if (tween.progress() < 1) untrack = playback.track(tween);
+    
+    return tween;
+  };
+  
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element || disabled) return;
+    
+    // Let the browser scroll along the axis that isn't dragged
+    const previousTouchAction = element.style.touchAction;
+    element.style.touchAction = axis === 'x' ? 'pan-y' : axis === 'y' ? 'pan-x' : 'none';
+    
+    let drag = null;
+    
+    const getInfo = (position, velocity) => ({
+      x: position.x,
+      y: position.y,
+      velocityX: velocity.x,
+      velocityY: velocity.y
+    });
+    
+    // Average velocity over recent samples, in pixels per second
+    const getVelocity = () => {
+      const now = performance.now();
+      const samples = drag.samples.filter(sample => now - sample.time <= VELOCITY_WINDOW);
+      
+      if (samples.length < 2) return { x: 0, y: 0 };
+      
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      const elapsed = (last.time - first.time) / 1000;
+      
+      if (elapsed <= 0) return { x: 0, y: 0 };
+      
+      return {
+        x: (last.x - first.x) / elapsed,
+        y: (last.y - first.y) / elapsed
+      };
+    };
+    
+    const handlePointerDown = (e) => {
+      // Primary button only for mice; touch and pen always start a drag
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      
+      if (releaseTweenRef.current) {
+        releaseTweenRef.current.kill();
+        releaseTweenRef.current = null;
+      }
+      
+      const start = getPosition();
+      
+      drag = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        start,
+        position: start,
+        limits: getLimits(),
+        lockedAxis: null,
+        samples: [{ x: start.x, y: start.y, time: performance.now() }]
+      };
+      
+      element.setPointerCapture(e.pointerId);
+      setIsDragging(true);
+      
+      const { onDragStart } = optionsRef.current;
+      if (onDragStart) onDragStart(getInfo(start, { x: 0, y: 0 }));
+    };
+    
+    const handlePointerMove = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      
+      const { lockAxis, onDrag } = optionsRef.current;
+      let deltaX = e.clientX - drag.startX;
+      let deltaY = e.clientY - drag.startY;
+      
+      if (lockAxis && axis === 'both' && !drag.lockedAxis) {
+        if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < LOCK_THRESHOLD) return;
+        drag.lockedAxis = Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
+      }
+      
+      const activeAxis = drag.lockedAxis || axis;
+      if (activeAxis === 'y') deltaX = 0;
+      if (activeAxis === 'x') deltaY = 0;
+      
+      const position = clampPoint({
+        x: drag.start.x + deltaX,
+        y: drag.start.y + deltaY
+      }, drag.limits);
+      
+      drag.position = position;
+      drag.samples.push({ ...position, time: performance.now() });
+      
+      if (drag.samples.length > 20) {
+        drag.samples.shift();
+      }
+      
+      gsap.set(element, position);
+      
+      if (onDrag) onDrag(getInfo(position, getVelocity()));
+    };
+    
+    const handlePointerUp = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      
+      const { inertia = true, snap, ease = 'power3.out', instant, onDragEnd, onDragSettle } = optionsRef.current;
+      const velocity = e.type === 'pointercancel' ? { x: 0, y: 0 } : getVelocity();
+      const { position, limits } = drag;
+      const activeAxis = drag.lockedAxis || axis;
+      const throwing = inertia && !instant;
+      
+      drag = null;
+      
+      if (element.hasPointerCapture(e.pointerId)) {
+        element.releasePointerCapture(e.pointerId);
+      }
+      
+      setIsDragging(false);
+      
+      if (onDragEnd) onDragEnd(getInfo(position, velocity));
+      
+      // Project where momentum would carry the element, then keep it in bounds and snap it
+      const projected = throwing ? {
+        x: position.x + velocity.x * INERTIA_POWER,
+        y: position.y + velocity.y * INERTIA_POWER
+      } : position;
+      
+      const target = clampPoint(snapPoint(clampPoint(projected, limits), snap, activeAxis), limits);
+      const distance = Math.hypot(target.x - position.x, target.y - position.y);
+      const speed = throwing ? Math.hypot(velocity.x, velocity.y) : 0;
+      
+      const settle = () => {
+        if (onDragSettle) onDragSettle(getInfo(target, { x: 0, y: 0 }));
+      };
+      
+      if (distance < 0.5) {
+        gsap.set(element, target);
+        settle();
+        return;
+      }
+      
+      // power3.out starts at three times its average speed, so this duration continues the release velocity
+      const duration = speed > 0 ? Math.min(Math.max(3 * distance / speed, 0.2), 1.5) : 0.4;
+      
+      let untrack = () => {};
+      
+      const tween = gsap.to(element, {
+        ...target,
+        duration: instant ? 0 : duration,
+        ease,
+        onInterrupt: () => untrack(),
+        onComplete: () => {
+          untrack();
+          settle();
+        }
+      });
+      
+      releaseTweenRef.current = tween;
+      
+      // Instant releases complete as soon as they are created
+      if (tween.progress() < 1) untrack = playback.track(tween);
+    };
+    
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('pointerup', handlePointerUp);
+    element.addEventListener('pointercancel', handlePointerUp);
+    
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('pointerup', handlePointerUp);
+      element.removeEventListener('pointercancel', handlePointerUp);
+      element.style.touchAction = previousTouchAction;
+      
+      if (releaseTweenRef.current) {
+        releaseTweenRef.current.kill();
+        releaseTweenRef.current = null;
+      }
+    };
+  }, [axis, disabled]);
+  
+  return {
+    isDragging,
+    moveTo
+  };
+};
+
+export default useDraggable;
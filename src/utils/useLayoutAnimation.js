@@ -0,0 +1,89 @@
+import { createElement, useRef, useContext, useEffect, useLayoutEffect } from 'react';
+import LayoutGroupContext, { createLayoutStore, LayoutSnapshot } from '../context/LayoutGroupContext';
+import { useAnimationSettings } from '../context/AnimationContext';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Hook for animating an element between layouts (FLIP)
+ * Records the element's box before each React commit and animates from the
+ * old box to the new one. Render the returned `snapshot` element anywhere in
+ * the component; it renders nothing and takes the measurements. Inside a LayoutGroup every member is measured
+ * whenever any member re-renders, so siblings that get pushed around animate too.
+ *
+ * @param {React.RefObject} elementRef - Reference to the element to animate
+ * @param {Object} options - Layout animation options
+ * @param {boolean|string} options.layout - Animate layout changes (true, 'position' to skip size)
+ * @param {string} options.layoutId - Shared id used to animate between two different elements
+ * @param {number} options.duration - Animation duration in seconds
+ * @param {string} options.ease - GSAP easing function
+ * @param {function} options.getElements - Returns the elements to animate (defaults to the ref element)
+ * @param {string} options.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {function} options.onLayoutAnimationStart - Callback when a layout animation starts
+ * @param {function} options.onLayoutAnimationComplete - Callback when a layout animation completes
+ * @returns {Object} Layout utilities with the ref and the snapshot element
+ */
+export const useLayoutAnimation = (elementRef, options = {}) => {
+  const {
+    layout = true,
+    layoutId,
+    duration = 0.5,
+    ease = 'power3.out',
+    getElements,
+    reducedMotion,
+    onLayoutAnimationStart,
+    onLayoutAnimationComplete
+  } = options;
+  
+  const group = useContext(LayoutGroupContext);
+  const { disableAllAnimations, shouldReduceMotion } = useAnimationSettings(reducedMotion);
+  
+  // Fall back to a private store when used outside a LayoutGroup
+  const localStoreRef = useRef(null);
+  
+  if (!group && !localStoreRef.current) {
+    localStoreRef.current = createLayoutStore();
+  }
+  
+  const store = group ? group.store : localStoreRef.current;
+  const sharedId = layoutId && group && group.id ? `${group.id}-${layoutId}` : layoutId;
+  
+  // Keep a stable entry and refresh its options on every render
+  const entryRef = useRef(null);
+  
+  if (!entryRef.current) {
+    entryRef.current = {};
+  }
+  
+  Object.assign(entryRef.current, {
+    layoutId: sharedId,
+    getElements: getElements || (() => (elementRef.current ? [elementRef.current] : [])),
+    options: {
+      layout,
+      duration,
+      ease,
+      // Layout changes snap into place for users who prefer reduced motion
+      disabled: disableAllAnimations || shouldReduceMotion || (!layout && !sharedId),
+      onStart: onLayoutAnimationStart,
+      onComplete: onLayoutAnimationComplete
+    }
+  });
+  
+  useIsomorphicLayoutEffect(() => {
+    return store.register(entryRef.current);
+  }, [store]);
+  
+  // Animate after every commit
+  useIsomorphicLayoutEffect(() => {
+    store.flush();
+  });
+  
+  return {
+    ref: elementRef,
+    // Measures before React applies this render to the DOM
+    snapshot: createElement(LayoutSnapshot, { store })
+  };
+};
+
+export default useLayoutAnimation;
@@ -1,4 +1,6 @@
 import { useRef, useState, useEffect } from 'react';
+import { mapEasing } from './fallbacks';
+import { getEaseDuration } from './easings';
 
 /**
  * Hook for safely using animations with multiple fallback layers
@@ -168,6 +170,9 @@ export const useSafeAnimation = (ref) => {
       
       // Convert GSAP ease to Web Animation API easing
       const convertEase = (gsapEase) => {
+        // Spring eases carry their own CSS curve
+        if (typeof gsapEase === 'function') return mapEasing(gsapEase);
+        
         const easingMap = {
           'none': 'linear',
           'power1.in': 'ease-in',
@@ -195,7 +200,7 @@ export const useSafeAnimation = (ref) => {
       
       // Handle 'from' animation
       if (props.from) {
-        const { duration = 1, delay = 0, ease = 'power2.out' } = props.from;
+        const { ease = 'power2.out', duration = getEaseDuration(ease, 1), delay = 0 } = props.from;
         
         const startKeyframe = convertGSAPToWebAnimation(props.from);
         const endKeyframe = {}; // Target state
@@ -213,7 +218,7 @@ export const useSafeAnimation = (ref) => {
       
       // Handle 'to' animation
       if (props.to) {
-        const { duration = 1, delay = 0, ease = 'power2.out' } = props.to;
+        const { ease = 'power2.out', duration = getEaseDuration(ease, 1), delay = 0 } = props.to;
         
         const startKeyframe = {}; // Current state
         const endKeyframe = convertGSAPToWebAnimation(props.to);
@@ -242,10 +247,13 @@ export const useSafeAnimation = (ref) => {
     
     try {
       const element = ref.current;
-      const { from, to, duration = 1, delay = 0, ease = 'power2.out' } = props;
+      const { from, to, ease = 'power2.out', duration = getEaseDuration(ease, 1), delay = 0 } = props;
       
       // Convert GSAP ease to CSS ease
       const convertEase = (gsapEase) => {
+        // Spring eases carry their own CSS curve
+        if (typeof gsapEase === 'function') return mapEasing(gsapEase);
+        
         const easingMap = {
           'none': 'linear',
           'power1.in': 'ease-in',
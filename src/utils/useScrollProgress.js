@@ -0,0 +1,64 @@
+import { useEffect } from 'react';
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import { useMotionValue } from './motionValue';
+import { resolveScroller } from './scroller';
+import { useAnimationSettings } from '../context/AnimationContext';
+
+// Make sure GSAP plugins are registered
+if (typeof window !== 'undefined') {
+  try {
+    gsap.registerPlugin(ScrollTrigger);
+  } catch (error) {
+    console.warn('Failed to register ScrollTrigger:', error.message);
+  }
+}
+
+/**
+ * Hook for tracking scroll progress as a motion value
+ * Progress runs from 0 at `start` to 1 at `end`. Without a target it tracks
+ * the whole page (or the whole scroller). The value updates on every scroll without re-rendering;
+ * map it with useTransform and apply it with useMotionStyle or subscribe.
+ *
+ * @param {React.RefObject} targetRef - Element whose scroll position is tracked (optional)
+ * @param {Object} options - ScrollTrigger options
+ * @param {string|number} options.start - ScrollTrigger start position (defaults to 'top bottom', or 0 without a target)
+ * @param {string|number} options.end - ScrollTrigger end position (defaults to 'bottom top', or 'max' without a target)
+ * @param {React.RefObject|string} options.scroller - Scroll container to watch, as a ref or selector (defaults to the provider's scroller, otherwise the window)
+ * @returns {Object} Motion value holding the progress between 0 and 1
+ */
+export const useScrollProgress = (targetRef, options = {}) => {
+  const hasTarget = !!targetRef;
+  const { scroller: defaultScroller } = useAnimationSettings();
+  const {
+    start = hasTarget ? 'top bottom' : 0,
+    end = hasTarget ? 'bottom top' : 'max',
+    scroller = defaultScroller
+  } = options;
+  
+  const progress = useMotionValue(0);
+  
+  useEffect(() => {
+    if (hasTarget && !targetRef.current) return;
+    
+    // Without a target, progress runs over the full scroll range
+    const scrollTrigger = ScrollTrigger.create({
+      trigger: hasTarget ? targetRef.current : undefined,
+      scroller: resolveScroller(scroller, hasTarget ? targetRef.current : undefined),
+      start,
+      end,
+      onUpdate: (self) => progress.set(self.progress)
+    });
+    
+    // Start from the current scroll position rather than 0
+    progress.set(scrollTrigger.progress);
+    
+    return () => {
+      scrollTrigger.kill();
+    };
+  }, [hasTarget, start, end, scroller]);
+  
+  return progress;
+};
+
+export default useScrollProgress;
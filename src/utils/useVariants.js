@@ -0,0 +1,245 @@
+import { useRef, useMemo, useContext, useEffect, useLayoutEffect } from 'react';
+import gsap from 'gsap';
+import VariantContext from '../context/VariantContext';
+import { useAnimationSettings } from '../context/AnimationContext';
+import { withoutMotion } from './animations';
+import { playback } from './playback';
+
+// For server-side rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+// Variant keys that control orchestration rather than the animated properties
+const orchestrationKeys = ['staggerChildren', 'delayChildren', 'when'];
+
+// Variant keys that only make sense for tweens, not for setting an initial state
+const timingKeys = ['duration', 'delay', 'ease', 'stagger', 'repeat', 'yoyo'];
+
+/**
+ * Split a variant into GSAP vars and orchestration options
+ * @param {Object} variant - Variant definition
+ * @returns {Object} Object with vars and orchestration
+ */
+const splitVariant = (variant = {}) => {
+  const vars = {};
+  const orchestration = {};
+  
+  Object.entries(variant).forEach(([key, value]) => {
+    if (orchestrationKeys.includes(key)) {
+      orchestration[key] = value;
+    } else {
+      vars[key] = value;
+    }
+  });
+  
+  return { vars, orchestration };
+};
+
+/**
+ * Get the properties of a variant that can be applied instantly with gsap.set
+ * @param {Object} variant - Variant definition
+ * @returns {Object} Settable properties
+ */
+const getStaticProps = (variant = {}) => {
+  const { vars } = splitVariant(variant);
+  
+  timingKeys.forEach(key => {
+    delete vars[key];
+  });
+  
+  return vars;
+};
+
+/**
+ * Sort registered children by the document order of their elements
+ * @param {Object[]} children - Registered child entries
+ * @returns {Object[]} Sorted entries
+ */
+export const sortByDocumentOrder = (children) => {
+  return children.sort((a, b) => {
+    const elementA = a.getElement();
+    const elementB = b.getElement();
+    
+    if (!elementA || !elementB) return 0;
+    
+    return elementA.compareDocumentPosition(elementB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+};
+
+/**
+ * Hook for declarative, label-based animations
+ * Each element defines named variants and switches between them with `animate`.
+ * Labels propagate down through context, so descendants without their own
+ * `animate` follow their parent, which orchestrates them using the variant's
+ * `staggerChildren`, `delayChildren` and `when` ('beforeChildren', 'afterChildren').
+ *
+ * @param {React.RefObject} elementRef - Reference to the element to animate
+ * @param {Object} options - Variant options
+ * @param {Object} options.variants - Named variants, e.g. { hidden: {...}, shown: {...} }
+ * @param {string|boolean} options.initial - Variant applied on mount (false to start at `animate`)
+ * @param {string} options.animate - Variant to animate to (inherited from the parent when omitted)
+ * @param {Object} options.transition - Default tween vars (duration, ease, delay, stagger)
+ * @param {function} options.getTargets - Returns the elements to animate (defaults to the ref element)
+ * @param {string} options.reducedMotion - Override the provider's reducedMotion mode ('disable', 'reduce', 'ignore')
+ * @param {function} options.onAnimationComplete - Callback with the label once a variant animation completes
+ * @returns {Object} Variant context value to provide to children (null without variants)
+ */
+export const useVariants = (elementRef, options = {}) => {
+  const {
+    variants,
+    initial,
+    animate,
+    transition = {},
+    getTargets,
+    reducedMotion,
+    onAnimationComplete
+  } = options;
+  
+  const parent = useContext(VariantContext);
+  const {
+    disableAllAnimations,
+    defaultDuration,
+    defaultEase,
+    shouldReduceMotion
+  } = useAnimationSettings(reducedMotion);
+  
+  // Variants only crossfade for users who prefer reduced motion
+  const getVariant = (label) => {
+    const variant = variants ? variants[label] : undefined;
+    return variant && shouldReduceMotion ? withoutMotion(variant) : variant;
+  };
+  
+  const isControlled = animate !== undefined;
+  const animateLabel = isControlled ? animate : (parent ? parent.animate : undefined);
+  const initialLabel = initial !== undefined ? initial : (parent ? parent.initial : undefined);
+  
+  const childrenRef = useRef(new Set());
+  const timelineRef = useRef(null);
+  
+  const resolveTargets = () => {
+    if (getTargets) return getTargets();
+    return elementRef.current ? [elementRef.current] : [];
+  };
+  
+  // Build a timeline animating this element and its registered children to a label
+  const build = (label) => {
+    const tl = gsap.timeline();
+    const variant = getVariant(label);
+    const { vars, orchestration } = splitVariant(variant);
+    const { staggerChildren = 0, delayChildren = 0, when } = orchestration;
+    const targets = resolveTargets();
+    
+    const children = sortByDocumentOrder(Array.from(childrenRef.current))
+      .filter(child => !child.isControlled())
+      .map(child => child.build(label))
+      .filter(Boolean);
+    
+    const addSelf = (position) => {
+      if (!variant || targets.length === 0) return;
+      
+      tl.to(targets, {
+        duration: defaultDuration,
+        ease: defaultEase,
+        ...transition,
+        ...vars
+      }, position);
+    };
+    
+    const addChildren = (position) => {
+      children.forEach((childTimeline, index) => {
+        tl.add(childTimeline, position + delayChildren + index * staggerChildren);
+      });
+    };
+    
+    if (when === 'beforeChildren') {
+      addSelf(0);
+      addChildren(tl.duration());
+    } else if (when === 'afterChildren') {
+      addChildren(0);
+      addSelf(tl.duration());
+    } else {
+      addSelf(0);
+      addChildren(0);
+    }
+    
+    return tl;
+  };
+  
+  // Keep a stable entry for the parent and refresh its methods on every render
+  const entryRef = useRef(null);
+  
+  if (!entryRef.current) {
+    entryRef.current = {};
+  }
+  
+  Object.assign(entryRef.current, {
+    build: (label) => (variants ? build(label) : null),
+    isControlled: () => isControlled,
+    getElement: () => resolveTargets()[0] || null
+  });
+  
+  // Register with the parent so it can orchestrate this element
+  useIsomorphicLayoutEffect(() => {
+    if (!parent || !variants) return;
+    return parent.register(entryRef.current);
+  }, [parent && parent.register, !!variants]);
+  
+  // Apply the initial variant before the first paint
+  useIsomorphicLayoutEffect(() => {
+    if (!variants) return;
+    
+    const startLabel = initialLabel === false ? animateLabel : initialLabel;
+    
+    if (startLabel !== undefined && variants[startLabel]) {
+      gsap.set(resolveTargets(), getStaticProps(getVariant(startLabel)));
+    }
+  }, []);
+  
+  // Play when the label changes, unless a parent orchestrates this element
+  useIsomorphicLayoutEffect(() => {
+    if (!variants || animateLabel === undefined) return;
+    if (parent && !isControlled) return;
+    
+    if (timelineRef.current) {
+      timelineRef.current.kill();
+    }
+    
+    const tl = build(animateLabel);
+    
+    tl.eventCallback('onComplete', () => {
+      if (onAnimationComplete) onAnimationComplete(animateLabel);
+    });
+    
+    // Jump straight to the end state when animations are disabled
+    if (disableAllAnimations) {
+      tl.progress(1);
+    }
+    
+    timelineRef.current = tl;
+    
+    return playback.track(tl);
+  }, [animateLabel, disableAllAnimations]);
+  
+  // Kill running animations on unmount
+  useEffect(() => {
+    return () => {
+      if (timelineRef.current) {
+        timelineRef.current.kill();
+      }
+    };
+  }, []);
+  
+  const register = useRef((child) => {
+    childrenRef.current.add(child);
+    return () => childrenRef.current.delete(child);
+  }).current;
+  
+  const contextValue = useMemo(() => ({
+    initial: initialLabel,
+    animate: animateLabel,
+    register
+  }), [initialLabel, animateLabel]);
+  
+  return variants ? contextValue : null;
+};
+
+export default useVariants;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import ScrambleText from '../src/components/text/ScrambleText';
+
+const getScrambled = (container) => container.firstChild.lastChild.textContent;
+
+describe('ScrambleText', () => {
+  test('gives screen readers the final text once', () => {
+    const { container } = render(<ScrambleText text="Hello" trigger="load" />);
+    const readable = Array.from(container.firstChild.children).filter(child => !child.hasAttribute('aria-hidden'));
+    
+    expect(container.firstChild.hasAttribute('aria-label')).toBe(false);
+    expect(readable).toHaveLength(1);
+    expect(readable[0].textContent).toBe('Hello');
+  });
+  
+  test('scrambles the new text when the text changes', () => {
+    const { container, rerender } = render(<ScrambleText text="ab" characters="X" trigger="load" />);
+    
+    expect(getScrambled(container)).toBe('XX');
+    
+    rerender(<ScrambleText text="a b c" characters="X" trigger="load" />);
+    
+    expect(getScrambled(container)).toBe('X X X');
+  });
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import ScrollTriggeredTimeline from '../src/components/ScrollTriggeredTimeline';
+import TimelineStep from '../src/components/TimelineStep';
+import { useParentTimeline } from '../src/context/TimelineContext';
+
+// Reports the latest timeline built by the parent
+const TimelineProbe = ({ onTimeline }) => {
+  const timeline = useParentTimeline();
+  onTimeline(timeline);
+  return null;
+};
+
+// Tweens of the steps, leaving out the set that pads the timeline to a duration of 1
+const getStepTweens = (timeline) => {
+  return timeline.getChildren(false, true, false).filter(tween => tween.targets()[0] instanceof HTMLElement);
+};
+
+const renderTimeline = (steps, onTimeline) => (
+  <ScrollTriggeredTimeline pin={false}>
+    {steps.map(step => (
+      <TimelineStep key={step} at={step / 10} to={{ opacity: 0, duration: 0.1 }}>
+        Step {step}
+      </TimelineStep>
+    ))}
+    <TimelineProbe onTimeline={onTimeline} />
+  </ScrollTriggeredTimeline>
+);
+
+describe('ScrollTriggeredTimeline', () => {
+  test('builds a segment for every step', () => {
+    let timeline = null;
+    render(renderTimeline([1, 2], value => { timeline = value; }));
+    
+    expect(timeline).not.toBeNull();
+    expect(getStepTweens(timeline)).toHaveLength(2);
+  });
+  
+  test('rebuilds when a step mounts after the first build', () => {
+    let timeline = null;
+    const onTimeline = value => { timeline = value; };
+    const { rerender } = render(renderTimeline([1], onTimeline));
+    const firstTimeline = timeline;
+    
+    act(() => {
+      rerender(renderTimeline([1, 2], onTimeline));
+    });
+    
+    expect(timeline).not.toBe(firstTimeline);
+    
+    const tweens = getStepTweens(timeline);
+    expect(tweens).toHaveLength(2);
+    expect(tweens[1].startTime()).toBeCloseTo(0.2);
+  });
+  
+  test('rebuilds when a step unmounts', () => {
+    let timeline = null;
+    const onTimeline = value => { timeline = value; };
+    const { rerender } = render(renderTimeline([1, 2, 3], onTimeline));
+    
+    act(() => {
+      rerender(renderTimeline([1, 3], onTimeline));
+    });
+    
+    expect(getStepTweens(timeline)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,28 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import SplitText from '../src/components/SplitText';
+
+describe('SplitText', () => {
+  const renderLink = () => render(
+    <SplitText type="words">
+      Read <a href="/more">the docs</a> first
+    </SplitText>
+  );
+  
+  test('reads the whole text once from a visually hidden copy', () => {
+    const { container } = renderLink();
+    const [readable, split] = container.firstChild.children;
+    
+    expect(readable.hasAttribute('aria-hidden')).toBe(false);
+    expect(readable.textContent).toBe('Read the docs first');
+    expect(split.getAttribute('aria-hidden')).toBe('true');
+  });
+  
+  test('keeps links focusable where they are drawn', () => {
+    const { container } = renderLink();
+    const [readable, split] = container.firstChild.children;
+    
+    expect(split.querySelector('a').hasAttribute('tabindex')).toBe(false);
+    expect(readable.querySelector('a').getAttribute('tabindex')).toBe('-1');
+  });
+});
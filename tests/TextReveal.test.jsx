@@ -0,0 +1,26 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import gsap from 'gsap';
+import TextReveal from '../src/components/text/TextReveal';
+
+// The timeline the mask wipe belongs to
+const getRevealTimeline = (container) => {
+  const mask = container.querySelector('.react-gsap-textreveal-mask');
+  return gsap.getTweensOf(mask).filter(tween => tween.parent !== gsap.globalTimeline).pop().parent;
+};
+
+describe('TextReveal', () => {
+  test('delays the reveal', () => {
+    const { container } = render(<TextReveal trigger="load" delay={0.4}>Hello</TextReveal>);
+    
+    expect(getRevealTimeline(container).delay()).toBe(0.4);
+  });
+  
+  test('delays a reveal played by hand', () => {
+    const { container } = render(<TextReveal trigger="click" delay={0.3}>Hello</TextReveal>);
+    
+    fireEvent.click(container.firstChild);
+    
+    expect(getRevealTimeline(container).delay()).toBe(0.3);
+  });
+});
@@ -0,0 +1,58 @@
+import React from 'react';
+import { render, waitFor } from '@testing-library/react';
+import TypingText from '../src/components/text/TypingText';
+
+describe('TypingText', () => {
+  test('keeps typing through the re-render of every keystroke', async () => {
+    const onCharacter = jest.fn();
+    const onTextComplete = jest.fn();
+    
+    const { container } = render(
+      <TypingText
+        text="abc"
+        typingSpeed={100}
+        startDelay={0}
+        onCharacter={onCharacter}
+        onTextComplete={onTextComplete}
+      />
+    );
+    
+    await waitFor(() => expect(onTextComplete).toHaveBeenCalledWith(0), { timeout: 1000 });
+    
+    expect(onCharacter.mock.calls.map(([character]) => character)).toEqual(['a', 'b', 'c']);
+    expect(container.textContent).toContain('abc');
+  });
+  
+  test('types the new text when the text changes', async () => {
+    const onTextComplete = jest.fn();
+    const renderTyping = (text) => (
+      <TypingText text={text} typingSpeed={100} startDelay={0} onTextComplete={onTextComplete} />
+    );
+    
+    const { container, rerender } = render(renderTyping('abc'));
+    await waitFor(() => expect(onTextComplete).toHaveBeenCalledTimes(1), { timeout: 1000 });
+    
+    rerender(renderTyping('xyz'));
+    await waitFor(() => expect(onTextComplete).toHaveBeenCalledTimes(2), { timeout: 1000 });
+    
+    expect(container.textContent).toContain('xyz');
+  });
+  
+  test('only mistypes letters', async () => {
+    const onCharacter = jest.fn();
+    const onTextComplete = jest.fn();
+    
+    render(
+      <TypingText typingSpeed={200} startDelay={0} typoChance={1} onCharacter={onCharacter} onTextComplete={onTextComplete}>
+        a<img alt="" />1
+      </TypingText>
+    );
+    
+    await waitFor(() => expect(onTextComplete).toHaveBeenCalled(), { timeout: 1000 });
+    
+    const typos = onCharacter.mock.calls.filter(([, details]) => details.typo);
+    
+    expect(typos.map(([, details]) => details.index)).toEqual([0, 0]);
+    expect(onCharacter.mock.calls.filter(([, details]) => !details.typo).map(([character]) => character)).toEqual(['a', '', '1']);
+  });
+});
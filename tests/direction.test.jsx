@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import { isRTL, resolveDirection } from '../src/utils/direction';
+import TextReveal from '../src/components/text/TextReveal';
+
+describe('resolveDirection', () => {
+  test.each([
+    ['start', false, 'left'],
+    ['end', false, 'right'],
+    ['start', true, 'right'],
+    ['end', true, 'left']
+  ])('resolves %s with rtl=%s to %s', (direction, rtl, side) => {
+    expect(resolveDirection(direction, rtl)).toBe(side);
+  });
+  
+  test('returns physical directions unchanged', () => {
+    ['left', 'right', 'top', 'bottom', 'up', 'down'].forEach(direction => {
+      expect(resolveDirection(direction, true)).toBe(direction);
+      expect(resolveDirection(direction, false)).toBe(direction);
+    });
+  });
+});
+
+describe('isRTL', () => {
+  test('reads the computed direction of an element', () => {
+    const element = document.createElement('div');
+    document.body.appendChild(element);
+    
+    expect(isRTL(element)).toBe(false);
+    
+    element.style.direction = 'rtl';
+    expect(isRTL(element)).toBe(true);
+    
+    element.remove();
+  });
+  
+  test('is false without an element', () => {
+    expect(isRTL(null)).toBe(false);
+  });
+});
+
+describe('TextReveal', () => {
+  const getMask = (container) => container.querySelector('.react-gsap-textreveal-mask');
+  
+  test('reveals from the left for direction="start" in left-to-right text', () => {
+    const { container } = render(<TextReveal trigger="load">Hello</TextReveal>);
+    
+    expect(getMask(container).style.transformOrigin).toBe('100% 50%');
+  });
+  
+  test('reveals from the right for direction="start" in right-to-left text', () => {
+    const { container } = render(<TextReveal trigger="load" style={{ direction: 'rtl' }}>שלום</TextReveal>);
+    
+    expect(getMask(container).style.transformOrigin).toBe('0% 50%');
+  });
+  
+  test('resolves the side again when played by hand', () => {
+    const { container } = render(
+      <TextReveal trigger="click" direction="end" style={{ direction: 'rtl' }}>
+        שלום
+      </TextReveal>
+    );
+    
+    fireEvent.click(container.firstChild);
+    
+    expect(getMask(container).style.transformOrigin).toBe('100% 50%');
+  });
+});
@@ -0,0 +1,83 @@
+import { spring, getEaseDuration } from '../src/utils/easings';
+
+// Integrate m·x'' = -k·(x - 1) - c·x' numerically, to check the closed-form solution
+const simulate = ({ stiffness = 100, damping = 10, mass = 1, velocity = 0 }, time) => {
+  const step = 1 / 10000;
+  let position = 0;
+  let speed = velocity;
+  
+  for (let t = 0; t < time; t += step) {
+    const acceleration = (-stiffness * (position - 1) - damping * speed) / mass;
+    speed += acceleration * step;
+    position += speed * step;
+  }
+  
+  return position;
+};
+
+const sample = (ease, count = 200) => {
+  return Array.from({ length: count + 1 }, (_, i) => ease(i / count));
+};
+
+describe('spring', () => {
+  test('starts at 0 and ends at 1', () => {
+    const ease = spring();
+    
+    expect(ease(0)).toBeCloseTo(0, 6);
+    expect(ease(1)).toBe(1);
+  });
+  
+  test.each([
+    ['underdamped', { stiffness: 180, damping: 12 }],
+    ['critically damped', { stiffness: 100, damping: 20 }],
+    ['overdamped', { stiffness: 280, damping: 60 }],
+    ['with initial velocity', { stiffness: 120, damping: 14, velocity: 5 }],
+    ['heavy', { stiffness: 100, damping: 10, mass: 3 }]
+  ])('matches a simulated %s spring', (name, config) => {
+    const ease = spring(config);
+    
+    [0.1, 0.25, 0.5, 0.75].forEach(progress => {
+      expect(ease(progress)).toBeCloseTo(simulate(config, progress * ease.duration), 2);
+    });
+  });
+  
+  test('overshoots only when underdamped', () => {
+    expect(Math.max(...sample(spring({ stiffness: 180, damping: 12 })))).toBeGreaterThan(1.01);
+    expect(Math.max(...sample(spring({ stiffness: 100, damping: 20 })))).toBeLessThanOrEqual(1);
+    expect(Math.max(...sample(spring({ stiffness: 280, damping: 60 })))).toBeLessThanOrEqual(1);
+  });
+  
+  test('has come to rest by the end of its duration', () => {
+    const ease = spring({ stiffness: 180, damping: 12 });
+    
+    sample(ease).slice(-10).forEach(value => {
+      expect(Math.abs(1 - value)).toBeLessThan(0.005);
+    });
+  });
+  
+  test('settles faster with more damping and slower when heavier', () => {
+    const base = spring({ stiffness: 100, damping: 10 }).duration;
+    
+    expect(spring({ stiffness: 100, damping: 16 }).duration).toBeLessThan(base);
+    expect(spring({ stiffness: 100, damping: 10, mass: 4 }).duration).toBeGreaterThan(base);
+  });
+  
+  test('describes itself as a CSS linear() easing', () => {
+    const { css } = spring();
+    
+    expect(css).toMatch(/^linear\(0, [-\d., ]+, 1\)$/);
+  });
+});
+
+describe('getEaseDuration', () => {
+  test('uses the settle time of a spring', () => {
+    const ease = spring({ stiffness: 260, damping: 20 });
+    
+    expect(getEaseDuration(ease, 0.8)).toBe(ease.duration);
+  });
+  
+  test('falls back for eases without a duration', () => {
+    expect(getEaseDuration('power3.out', 0.8)).toBe(0.8);
+    expect(getEaseDuration(undefined, 0.5)).toBe(0.5);
+  });
+});
@@ -0,0 +1,41 @@
+import React, { useRef } from 'react';
+import { render } from '@testing-library/react';
+import { createMotionValue, useMotionStyle } from '../src/utils/motionValue';
+
+const Styled = ({ styles }) => {
+  const ref = useRef(null);
+  useMotionStyle(ref, styles);
+  return <div ref={ref} />;
+};
+
+describe('useMotionStyle', () => {
+  test('binds properties added and removed between renders', () => {
+    const opacity = createMotionValue(0.5);
+    const x = createMotionValue(10);
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const { container, rerender } = render(<Styled styles={{ opacity }} />);
+    const element = container.firstChild;
+    
+    rerender(<Styled styles={{ opacity, x }} />);
+    x.set(20);
+    expect(element.style.transform).toContain('translate(20px');
+    
+    rerender(<Styled styles={{ x }} />);
+    opacity.set(0.2);
+    expect(element.style.opacity).toBe('0.5');
+    
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+  
+  test('keeps its bindings while the styles are equal', () => {
+    const opacity = createMotionValue(1);
+    const subscribe = jest.spyOn(opacity, 'subscribe');
+    
+    const { rerender } = render(<Styled styles={{ opacity }} />);
+    rerender(<Styled styles={{ opacity }} />);
+    
+    expect(subscribe).toHaveBeenCalledTimes(1);
+  });
+});
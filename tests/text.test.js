@@ -0,0 +1,70 @@
+import { splitGraphemes, splitWords } from '../src/utils/text';
+
+const FAMILY = '\u{1F468}‍\u{1F469}‍\u{1F467}';
+const FLAGS = '\u{1F1FA}\u{1F1F8}\u{1F1EB}\u{1F1F7}';
+const WAVE_DARK = '\u{1F44B}\u{1F3FF}';
+
+const cases = (split) => {
+  test('keeps emoji joined with zero-width joiners whole', () => {
+    expect(split.splitGraphemes(`a${FAMILY}b`)).toEqual(['a', FAMILY, 'b']);
+  });
+  
+  test('pairs regional indicators into flags', () => {
+    expect(split.splitGraphemes(FLAGS)).toEqual(['\u{1F1FA}\u{1F1F8}', '\u{1F1EB}\u{1F1F7}']);
+  });
+  
+  test('keeps combining marks and skin tones with their character', () => {
+    expect(split.splitGraphemes('café')).toEqual(['c', 'a', 'f', 'é']);
+    expect(split.splitGraphemes(`${WAVE_DARK}!`)).toEqual([WAVE_DARK, '!']);
+  });
+  
+  test('splits text written without spaces into words', () => {
+    const text = '東京は日本の首都です';
+    const words = split.splitWords(text);
+    
+    expect(words.length).toBeGreaterThan(1);
+    expect(words.join('')).toBe(text);
+  });
+  
+  test('keeps punctuation attached to a word', () => {
+    const words = split.splitWords('「你好」世界。');
+    
+    expect(words.join('')).toBe('「你好」世界。');
+    words.forEach(word => {
+      expect(word).toMatch(/[\u4E00-\u9FFF]/);
+    });
+    expect(split.splitWords('hello,')).toEqual(['hello,']);
+  });
+};
+
+describe('with Intl.Segmenter', () => {
+  cases({ splitGraphemes, splitWords });
+});
+
+describe('without Intl.Segmenter', () => {
+  const split = {};
+  const { Segmenter } = Intl;
+  
+  beforeAll(() => {
+    delete Intl.Segmenter;
+    
+    // Segmenters are cached per module, so load a fresh copy without them
+    jest.isolateModules(() => {
+      Object.assign(split, require('../src/utils/text'));
+    });
+  });
+  
+  afterAll(() => {
+    Intl.Segmenter = Segmenter;
+  });
+  
+  cases({
+    splitGraphemes: (text) => split.splitGraphemes(text),
+    splitWords: (text) => split.splitWords(text)
+  });
+  
+  test('breaks between any two Han or kana characters', () => {
+    expect(split.splitWords('漢字')).toEqual(['漢', '字']);
+    expect(split.splitWords('ひらがな。')).toEqual(['ひ', 'ら', 'が', 'な。']);
+  });
+});